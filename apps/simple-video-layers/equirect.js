@@ -4,6 +4,7 @@ import { XRControllerModelFactory } from "three/examples/jsm/webxr/XRControllerM
 
 import panoVideo from "../../media/pano.mp4";
 import { WebGLRenderer } from "../../util/WebGLRenderer";
+import MediaLayerManager from "../../util/webxr/MediaLayerManager";
 import { VRButton } from "../../util/webxr/VRButton";
 
 class App {
@@ -37,31 +38,39 @@ class App {
     /**
      * Renders the scene on the renderer
      */
-    render() {
+    async render() {
         const xr = this.renderer.xr;
         const session = xr.getSession();
 
-        if (
-            session &&
-            session.renderState.layers &&
-            !session.hasMediaLayer &&
-            this.video.readyState
-        ) {
+        if (xr.isPresenting && this.mediaLayer) {
+            this.mediaLayer.updateOnRender();
+        }
+
+        // Without WebXR Layers the video is drawn on an EquirectMeshLayer in the scene
+        if (session && !session.hasMediaLayer && this.video.readyState) {
             session.hasMediaLayer = true;
-            session.requestReferenceSpace("local").then((refSpace) => {
-                const mediaFactory = new XRMediaBinding(session);
-                const equirectLayer = mediaFactory.createEquirectLayer(
-                    this.video,
-                    {
-                        space: refSpace,
-                        layout: "stereo-top-bottom",
-                    }
-                );
-                session.updateRenderState({
-                    layers: [equirectLayer, session.renderState.layers[0]],
-                });
-                this.video.play();
-            });
+            const mediaFactory = new MediaLayerManager(
+                session,
+                this.renderer,
+                this.scene
+            );
+
+            this.mediaLayer = await mediaFactory.createMediaLayer(
+                this.video,
+                MediaLayerManager.EQUIRECT_LAYER,
+                {
+                    space: "local",
+                    layout: "stereo-top-bottom",
+                },
+                {
+                    panelWidth: 2,
+                    panelHeight: 0.5,
+                    height: 128,
+                    position: { x: 0, y: -1, z: -3 },
+                }
+            );
+
+            this.video.play();
         }
         this.renderer.render(this.scene, this.camera);
     }
@@ -201,8 +210,7 @@ class App {
         this.controllers = this.buildControllers();
 
         const vrButton = new VRButton(this.renderer, {
-            requiredFeatures: ["layers"],
-            optionalFeatures: ["local-floor", "bounded-floor"],
+            optionalFeatures: ["layers", "local-floor", "bounded-floor"],
         });
         document.body.appendChild(vrButton.domElement);
     }
@@ -69,14 +69,13 @@ class App {
             }
         }
 
-        if (
-            session &&
-            session.renderState.layers &&
-            !session.hasMediaLayer &&
-            areVideosReady
-        ) {
+        if (session && !session.hasMediaLayer && areVideosReady) {
             session.hasMediaLayer = true;
-            const mediaFactory = new MediaLayerManager(session, this.renderer);
+            const mediaFactory = new MediaLayerManager(
+                session,
+                this.renderer,
+                this.scene
+            );
 
             const uiConfigEquirect = {
                 panelWidth: 2,
@@ -129,16 +128,9 @@ class App {
             this.mediaLayers.set("equirect", equirect);
             this.mediaLayers.set("quad", quad);
 
-            // Hide toolbars initially
-            this.hideToolbars();
+            // Toolbars start hidden, unless shown when the layout was saved
+            this.initToolbarVisibility();
 
-            session.updateRenderState({
-                layers: [
-                    equirect.layer,
-                    quad.layer,
-                    session.renderState.layers[0],
-                ],
-            });
             this.videos.forEach((video) => video.play());
         }
 
@@ -189,8 +181,9 @@ class App {
             this.controllers.filter((c) => c !== controller);
         };
 
-        for (let i = 0; i <= 1; i++) {
-            const controller = this.renderer.xr.getController(i);
+        // By handedness, so models stay on the same hand when input sources change
+        for (const handedness of ["left", "right"]) {
+            const controller = this.renderer.xr.getController(handedness);
             controller.add(invisibleRay.clone());
             controller.add(ray.clone());
             controller.userData.selectPressed = false;
@@ -205,7 +198,7 @@ class App {
 
             // Objects
             // Controller Grip
-            const grip = this.renderer.xr.getControllerGrip(i);
+            const grip = this.renderer.xr.getControllerGrip(handedness);
             const controllerModel = controllerModelFactory.createControllerModel(
                 grip
             );
@@ -213,7 +206,7 @@ class App {
             this.scene.add(grip);
 
             // Hand
-            const hand = this.renderer.xr.getHand(i);
+            const hand = this.renderer.xr.getHand(handedness);
             const handModel = handModelFactory.createHandModel(hand, "oculus");
             hand.add(handModel);
             this.scene.add(hand);
@@ -342,6 +335,8 @@ class App {
 
     handleSelectEnd(controller) {
         this.mediaLayers.forEach((layerObj, layerKey) => {
+            layerObj.endResize(controller);
+
             if (layerObj.glassLayer) {
                 layerObj.glassLayer.move();
                 controller.remove(layerObj.glass);
@@ -364,6 +359,15 @@ class App {
                     this.scene.add(layerObj.glass);
                 }
             } else {
+                // Dragging a resize handle resizes the video layer instead of moving it
+                const intersections = this.getObjectsIntersections(
+                    controller,
+                    layerObj.objects
+                );
+                if (layerObj.startResize(controller, intersections)) {
+                    return;
+                }
+
                 this.handleToolbarIntersections(controller, {
                     layerKey,
                     layerObj,
@@ -453,12 +457,14 @@ class App {
         }
     }
 
-    hideToolbars() {
+    initToolbarVisibility() {
         if (!this.scene.userData.isToolbarVisible) {
             this.scene.userData.isToolbarVisible = {};
         }
-        this.mediaLayers.forEach((_layerObj, layerKey) => {
-            this.scene.userData.isToolbarVisible[layerKey] = false;
+
+        this.mediaLayers.forEach((mediaLayer, layerKey) => {
+            this.scene.userData.isToolbarVisible[layerKey] =
+                mediaLayer.isToolbarVisible;
         });
     }
 
@@ -480,8 +486,12 @@ class App {
         this.buildControllers();
 
         const vrButton = new VRButton(this.renderer, {
-            requiredFeatures: ["layers"],
-            optionalFeatures: ["local-floor", "bounded-floor", "hand-tracking"],
+            optionalFeatures: [
+                "layers",
+                "local-floor",
+                "bounded-floor",
+                "hand-tracking",
+            ],
         });
 
         document.body.appendChild(vrButton.domElement);
@@ -3,7 +3,10 @@ import { OrbitControls } from "three/examples/jsm/controls/OrbitControls";
 import { XRControllerModelFactory } from "three/examples/jsm/webxr/XRControllerModelFactory";
 
 import buttonClickSound from "../../media/audio/button-click.mp3";
-import MediaLayerManager from "../../util/webxr/MediaLayerManager";
+import MediaLayerManager, {
+    AdaptiveStream,
+    SceneLoader,
+} from "../../util/webxr/MediaLayerManager";
 import { WebGLRenderer } from "../../util/WebGLRenderer";
 import { VRButton } from "../../util/webxr/VRButton";
 
@@ -13,7 +16,16 @@ const SLOTH_LEFT_RIGHT_VIDEO =
     "https://d25a56pc18k0co.cloudfront.net/sloths_binaural_3840_180_3D-injected.mp4";
 
 class App {
-    constructor(videoIn = SLOTH_TOP_BOTTOM_VIDEO) {
+    constructor(
+        videoIn = SLOTH_TOP_BOTTOM_VIDEO,
+        subtitlesIn = null,
+        sceneIn = null,
+        dynamicResolution = false
+    ) {
+        this.subtitlesIn = subtitlesIn;
+        this.sceneIn = sceneIn;
+        this.dynamicResolution = dynamicResolution;
+
         const container = document.createElement("div");
         document.body.appendChild(container);
 
@@ -36,11 +48,13 @@ class App {
         // Create Map of MediaLayers
         this.mediaLayers = new Map();
 
-        // Create Map of Videos for Each Layer
-        this.videos = this.createVideos({
-            equirect: videoIn,
-            quad: videoIn,
-        });
+        // Create Map of Videos for Each Layer, scenes load their own
+        this.videos = sceneIn
+            ? new Map()
+            : this.createVideos({
+                  equirect: videoIn,
+                  quad: videoIn,
+              });
 
         this.setupVR();
 
@@ -72,82 +86,126 @@ class App {
             }
         }
 
-        if (
-            session &&
-            session.renderState.layers &&
-            !session.hasMediaLayer &&
-            areVideosReady
-        ) {
+        if (session && !session.hasMediaLayer && areVideosReady) {
             session.hasMediaLayer = true;
-            const mediaFactory = new MediaLayerManager(session, this.renderer);
-
-            const uiConfigEquirect = {
-                panelWidth: 2,
-                panelHeight: 0.5,
-                height: 128,
-                position: { x: 0, y: -1, z: -3 },
-            };
-
-            const toolbarGroupConfig = {
-                rotateXAngle: -Math.PI / 4,
-                position: {
-                    x: 0,
-                    y: 1.6,
-                    z: -2,
-                },
-            };
-
-            const equirect = await mediaFactory.createMediaLayer(
-                this.videos.get("equirect"),
-                MediaLayerManager.EQUIRECT_LAYER,
-                {
-                    layout: "stereo-top-bottom",
-                },
-                uiConfigEquirect,
-                toolbarGroupConfig
-            );
-
-            const uiConfigQuad = {
-                panelWidth: 1,
-                panelHeight: 0.2,
-                height: 128,
-                position: { x: 0, y: 0, z: 0 },
-            };
-
-            const quad = await mediaFactory.createMediaLayer(
-                this.videos.get("quad"),
-                MediaLayerManager.QUAD_LAYER,
-                {
-                    layout: "stereo-top-bottom",
-                    transform: new XRRigidTransform({
-                        x: 0.0,
-                        y: 1.3,
-                        z: -2.75,
-                        w: 1.0,
-                    }),
-                },
-                uiConfigQuad
+            const mediaFactory = new MediaLayerManager(
+                session,
+                this.renderer,
+                this.scene
             );
 
-            this.mediaLayers.set("equirect", equirect);
-            this.mediaLayers.set("quad", quad);
+            if (this.sceneIn) {
+                await this.loadScene(mediaFactory);
+            } else {
+                await this.createMediaLayers(mediaFactory);
+            }
 
-            // Hide toolbars initially
-            this.hideToolbars();
+            // Toolbars start hidden, unless shown when the layout was saved
+            this.initToolbarVisibility();
 
-            session.updateRenderState({
-                layers: [
-                    equirect.layer,
-                    quad.layer,
-                    session.renderState.layers[0],
-                ],
-            });
             this.videos.forEach((video) => video.play());
         }
 
         this.renderer.render(this.scene, this.camera);
     }
 
+    /**
+     * Builds an equirect and a quad layer of the video, only the quad in AR
+     */
+    async createMediaLayers(mediaFactory) {
+        if (!mediaFactory.isPassthrough) {
+            await this.createEquirectLayer(mediaFactory);
+        } else {
+            this.videos.delete("equirect");
+        }
+
+        await this.createQuadLayer(mediaFactory);
+    }
+
+    async createEquirectLayer(mediaFactory) {
+        const uiConfigEquirect = {
+            panelWidth: 2,
+            panelHeight: 0.5,
+            height: 128,
+            position: { x: 0, y: -1, z: -3 },
+        };
+
+        const toolbarGroupConfig = {
+            rotateXAngle: -Math.PI / 4,
+            position: {
+                x: 0,
+                y: 1.6,
+                z: -2,
+            },
+        };
+
+        const equirect = await mediaFactory.createMediaLayer(
+            this.videos.get("equirect"),
+            MediaLayerManager.AUTO_LAYER,
+            {},
+            uiConfigEquirect,
+            toolbarGroupConfig
+        );
+
+        this.mediaLayers.set("equirect", equirect);
+    }
+
+    async createQuadLayer(mediaFactory) {
+        const uiConfigQuad = {
+            panelWidth: 1,
+            panelHeight: 0.2,
+            height: 128,
+            position: { x: 0, y: 0, z: 0 },
+            useQuadLayer: true,
+        };
+
+        const quad = await mediaFactory.createMediaLayer(
+            this.videos.get("quad"),
+            MediaLayerManager.QUAD_LAYER,
+            {
+                layout: "stereo-top-bottom",
+                transform: new XRRigidTransform({
+                    x: 0.0,
+                    y: 1.3,
+                    z: -2.75,
+                    w: 1.0,
+                }),
+            },
+            uiConfigQuad
+        );
+
+        if (this.subtitlesIn) {
+            quad.addTextTrack(this.subtitlesIn, { label: "Subtitles" });
+            this.scene.add(quad.subtitlesGroup);
+        }
+
+        this.mediaLayers.set("quad", quad);
+    }
+
+    /**
+     * Builds the layers of a JSON scene description instead, without equirects and skybox in AR
+     */
+    async loadScene(mediaFactory) {
+        const { mediaLayers, skybox } = await new SceneLoader(
+            mediaFactory
+        ).load(this.sceneIn);
+
+        if (skybox && mediaFactory.isPassthrough) {
+            skybox.destroy();
+        }
+
+        mediaLayers.forEach((mediaLayer, layerKey) => {
+            if (
+                mediaFactory.isPassthrough &&
+                mediaLayer.layerType === MediaLayerManager.EQUIRECT_LAYER
+            ) {
+                mediaLayer.destroy();
+            } else {
+                this.mediaLayers.set(layerKey, mediaLayer);
+            }
+        });
+    }
+
     /**
      * Builds controllers to show in VR World
      */
@@ -180,8 +238,9 @@ class App {
             this.scene.remove(this.toolbarGroup);
         };
 
-        for (let i = 0; i <= 1; i++) {
-            const controller = this.renderer.xr.getController(i);
+        // By handedness, so models stay on the same hand when input sources change
+        for (const handedness of ["left", "right"]) {
+            const controller = this.renderer.xr.getController(handedness);
             controller.add(invisibleRay.clone());
             controller.add(ray.clone());
             controller.userData.selectPressed = false;
@@ -193,7 +252,7 @@ class App {
 
             controllers.push(controller);
 
-            const grip = this.renderer.xr.getControllerGrip(i);
+            const grip = this.renderer.xr.getControllerGrip(handedness);
             const controllerModel = controllerModelFactory.createControllerModel(
                 grip
             );
@@ -296,7 +355,19 @@ class App {
         video.crossOrigin = "anonymous";
         video.preload = "auto";
         video.autoload = true;
-        video.src = videoIn;
+
+        if (AdaptiveStream.isStreamUrl(videoIn)) {
+            const stream = new AdaptiveStream(video, videoIn);
+
+            stream.addEventListener("renditionchange", ({ rendition }) => {
+                console.log(
+                    `Rendition changed: ${rendition.width}x${rendition.height} at ${rendition.bandwidth} bps`
+                );
+            });
+            stream.load().catch((error) => console.error(error));
+        } else {
+            video.src = videoIn;
+        }
 
         video.onloadedmetadata = () => {
             console.log("Video loaded");
@@ -328,6 +399,8 @@ class App {
 
     handleSelectEnd(controller) {
         this.mediaLayers.forEach((layerObj, layerKey) => {
+            layerObj.endResize(controller);
+
             if (layerObj.glassLayer) {
                 layerObj.glassLayer.move();
                 controller.remove(layerObj.glass);
@@ -350,6 +423,15 @@ class App {
                     this.scene.add(layerObj.glass);
                 }
             } else {
+                // Dragging a resize handle resizes the video layer instead of moving it
+                const intersections = this.getObjectsIntersections(
+                    controller,
+                    layerObj.objects
+                );
+                if (layerObj.startResize(controller, intersections)) {
+                    return;
+                }
+
                 this.handleToolbarIntersections(controller, {
                     layerKey,
                     layerObj,
@@ -438,14 +520,15 @@ class App {
         }
     }
 
-    hideToolbars() {
+    initToolbarVisibility() {
         if (!this.scene.userData.isToolbarVisible) {
             this.scene.userData.isToolbarVisible = {};
         }
-        
-        for(const layerKey of this.mediaLayers.keys()) {
-            this.scene.userData.isToolbarVisible[layerKey] = false;
-        }
+
+        this.mediaLayers.forEach((mediaLayer, layerKey) => {
+            this.scene.userData.isToolbarVisible[layerKey] =
+                mediaLayer.isToolbarVisible;
+        });
     }
 
     /**
@@ -458,19 +541,30 @@ class App {
     }
 
     /**
-     * Adds a button to enable VR for supported devices
+     * Adds buttons to enter VR, and AR to watch the quad in the room, on supported devices
      */
     setupVR() {
         this.renderer.xr.enabled = true;
+        // Lowers the resolution of the scene while the media layers keep the GPU busy
+        this.renderer.xr.setDynamicResolution(this.dynamicResolution);
 
         this.controllers = this.buildControllers();
 
         const vrButton = new VRButton(this.renderer, {
-            requiredFeatures: ["layers"],
-            optionalFeatures: ["local-floor", "bounded-floor"],
+            optionalFeatures: ["layers", "local-floor", "bounded-floor"],
         });
 
         document.body.appendChild(vrButton.domElement);
+
+        const arButton = new VRButton(
+            this.renderer,
+            {
+                optionalFeatures: ["layers", "local-floor", "bounded-floor"],
+            },
+            { mode: "immersive-ar" }
+        );
+
+        document.body.appendChild(arButton.domElement);
     }
 }
 
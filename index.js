@@ -23,7 +23,17 @@ document.addEventListener("DOMContentLoaded", () => {
             app = new SimpleEquirectMediaLayer();
             break;
         case "/multiple-layers":
-            app = new MultipleLayers();
+            // ?src= plays another video, such as a local HLS or DASH stream,
+            // ?subtitles= shows a WebVTT file under the quad,
+            // ?scene= builds the layers of a JSON scene description instead,
+            // and ?dynamic-resolution scales the scene's resolution with frame timing
+            const params = new URLSearchParams(window.location.search);
+            app = new MultipleLayers(
+                params.get("src") || undefined,
+                params.get("subtitles"),
+                params.get("scene"),
+                params.has("dynamic-resolution")
+            );
             break;
         default:
             const indexContainer = document.querySelector(".container");
@@ -267,14 +267,21 @@ class CanvasUI {
             }
         }
 
-        this.controller = this.renderer.xr.getController(0);
-        this.controller.addEventListener("select", onSelect);
-        this.controller.addEventListener("selectstart", onSelectStart);
-        this.controller.addEventListener("selectend", onSelectEnd);
-        this.controller1 = this.renderer.xr.getController(1);
-        this.controller1.addEventListener("select", onSelect);
-        this.controller1.addEventListener("selectstart", onSelectStart);
-        this.controller1.addEventListener("selectend", onSelectEnd);
+        // Kept so the listeners can be removed again in destroy()
+        this.controllerListeners = {
+            select: onSelect,
+            selectstart: onSelectStart,
+            selectend: onSelectEnd,
+        };
+
+        // The handed controllers, which the apps add to the scene with their rays and models
+        this.controller = this.renderer.xr.getController("left");
+        this.controller1 = this.renderer.xr.getController("right");
+
+        Object.entries(this.controllerListeners).forEach(([type, listener]) => {
+            this.controller.addEventListener(type, listener);
+            this.controller1.addEventListener(type, listener);
+        });
 
         if (this.scene) {
             const radius = 0.015;
@@ -674,6 +681,45 @@ class CanvasUI {
         this.texture.needsUpdate = true;
     }
 
+    /**
+     * Removes the panel from its parent and frees its canvas texture, geometry and material
+     */
+    destroy() {
+        if (this.controllerListeners) {
+            Object.entries(this.controllerListeners).forEach(
+                ([type, listener]) => {
+                    this.controller.removeEventListener(type, listener);
+                    this.controller1.removeEventListener(type, listener);
+                }
+            );
+            this.controllerListeners = undefined;
+        }
+
+        if (this.intersectMesh) {
+            this.intersectMesh.forEach((mesh) => {
+                if (mesh.parent) mesh.parent.remove(mesh);
+            });
+            // Both meshes share the same geometry and material
+            this.intersectMesh[0].geometry.dispose();
+            this.intersectMesh[0].material.dispose();
+            this.intersectMesh = undefined;
+        }
+
+        if (this.keyboard) {
+            this.keyboard.destroy();
+            this.keyboard = undefined;
+        }
+
+        if (this.mesh === undefined) return;
+
+        if (this.mesh.parent) this.mesh.parent.remove(this.mesh);
+
+        this.texture.dispose();
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+        this.mesh = undefined;
+    }
+
     loadImage(src) {
         return new Promise((resolve, reject) => {
             const img = new Image();
@@ -708,8 +754,8 @@ class CanvasUI {
 
     wrapText(name, txt) {
         //console.log( `wrapText: ${name}:${txt}`);
-        const words = txt.split(" ");
-        let line = "";
+        // Explicit line breaks start a new line, then each line wraps on its own
+        const paragraphs = txt.split("\n");
         const lines = [];
         const config =
             this.config[name] !== undefined
@@ -773,40 +819,45 @@ class CanvasUI {
 
         context.font = `${fontSize}px '${fontFamily}'`;
 
-        words.forEach(function (word) {
-            let testLine = words.length > 1 ? `${line}${word} ` : word;
-            let metrics = context.measureText(testLine);
-            if (metrics.width > rect.width && word.length > 1) {
-                if (line.length == 0 && metrics.width > rect.width) {
-                    //word too long
-                    while (metrics.width > rect.width) {
-                        let count = 0;
-                        do {
-                            count++;
+        paragraphs.forEach((paragraph) => {
+            const words = paragraph.split(" ");
+            let line = "";
+
+            words.forEach(function (word) {
+                let testLine = words.length > 1 ? `${line}${word} ` : word;
+                let metrics = context.measureText(testLine);
+                if (metrics.width > rect.width && word.length > 1) {
+                    if (line.length == 0 && metrics.width > rect.width) {
+                        //word too long
+                        while (metrics.width > rect.width) {
+                            let count = 0;
+                            do {
+                                count++;
+                                testLine = word.substr(0, count);
+                                metrics = context.measureText(testLine);
+                            } while (
+                                metrics.width < rect.width &&
+                                count < word.length - 1
+                            );
+                            count--;
                             testLine = word.substr(0, count);
-                            metrics = context.measureText(testLine);
-                        } while (
-                            metrics.width < rect.width &&
-                            count < word.length - 1
-                        );
-                        count--;
-                        testLine = word.substr(0, count);
-                        lines.push(testLine);
-                        word = word.substr(count);
-                        if (count <= 1) break;
-                        metrics = context.measureText(word);
+                            lines.push(testLine);
+                            word = word.substr(count);
+                            if (count <= 1) break;
+                            metrics = context.measureText(word);
+                        }
+                        if (word != "") lines.push(word);
+                    } else {
+                        lines.push(line);
+                        line = `${word} `;
                     }
-                    if (word != "") lines.push(word);
                 } else {
-                    lines.push(line);
-                    line = `${word} `;
+                    line = testLine;
                 }
-            } else {
-                line = testLine;
-            }
-        });
+            });
 
-        if (line != "") lines.push(line);
+            if (line != "") lines.push(line);
+        });
 
         const textHeight = lines.length * lineHeight;
         let scrollY = 0;
@@ -837,6 +888,18 @@ class CanvasUI {
         }
 
         let y = scrollY + rect.y + fontSize / 2;
+
+        // Text that fits can sit in the middle or at the bottom, like captions
+        const verticalAlign =
+            config.verticalAlign !== undefined ? config.verticalAlign : "top";
+        if (textHeight < rect.height) {
+            if (verticalAlign === "middle") {
+                y += (rect.height - textHeight) / 2;
+            } else if (verticalAlign === "bottom") {
+                y += rect.height - textHeight;
+            }
+        }
+
         let x;
 
         switch (textAlign) {
@@ -1278,6 +1341,13 @@ class CanvasKeyboard {
             this.keyboard.update();
         }
     }
+
+    destroy() {
+        if (this.keyboard) {
+            this.keyboard.destroy();
+            this.keyboard = undefined;
+        }
+    }
 }
 
 export { CanvasUI, CanvasKeyboard };
@@ -9,6 +9,7 @@ import {
 import { MathUtils } from "three/src/math/MathUtils";
 import { DataTexture } from "three/src/textures/DataTexture";
 import { Frustum } from "three/src/math/Frustum";
+import { Matrix3 } from "three/src/math/Matrix3";
 import { Matrix4 } from "three/src/math/Matrix4";
 import { Vector2 } from "three/src/math/Vector2";
 import { Vector3 } from "three/src/math/Vector3";
@@ -28,7 +29,8 @@ import { WebGLIndexedBufferRenderer } from "three/src/renderers/webgl/WebGLIndex
 import { WebGLInfo } from "three/src/renderers/webgl/WebGLInfo";
 import { WebGLMorphtargets } from "three/src/renderers/webgl/WebGLMorphtargets";
 import { WebGLObjects } from "three/src/renderers/webgl/WebGLObjects";
-import { WebGLPrograms } from "three/src/renderers/webgl/WebGLPrograms";
+// And our WebGLPrograms, which can compile multiview programs
+import { WebGLPrograms } from "./webgl/WebGLPrograms";
 import { WebGLProperties } from "three/src/renderers/webgl/WebGLProperties";
 import { WebGLRenderLists } from "three/src/renderers/webgl/WebGLRenderLists";
 import { WebGLRenderStates } from "three/src/renderers/webgl/WebGLRenderStates";
@@ -177,6 +179,13 @@ class WebGLRenderer {
 
         const _vector3 = new Vector3();
 
+        // per view matrices of multiview programs
+        const _viewProjectionMatrices = [];
+        const _viewMatrices = [];
+        const _viewModelViewMatrices = [];
+        const _viewNormalMatrices = [];
+        const _viewCameraPositions = [];
+
         const _emptyScene = {
             background: null,
             fog: null,
@@ -1205,7 +1214,32 @@ class WebGLRenderer {
                         : overrideMaterial;
                 const group = renderItem.group;
 
-                if (camera.isArrayCamera) {
+                if (getNumMultiviewViews(camera) > 0) {
+                    // all views are drawn at once, objects are hidden from the views that don't see them in setProgram
+                    if (material.isRawShaderMaterial === true) {
+                        renderObjectPerView(
+                            object,
+                            scene,
+                            camera,
+                            geometry,
+                            material,
+                            group
+                        );
+                    } else if (object.layers.test(camera.layers)) {
+                        state.viewport(
+                            _currentViewport.copy(camera.cameras[0].viewport)
+                        );
+
+                        renderObject(
+                            object,
+                            scene,
+                            camera,
+                            geometry,
+                            material,
+                            group
+                        );
+                    }
+                } else if (camera.isArrayCamera) {
                     const cameras = camera.cameras;
 
                     for (let j = 0, jl = cameras.length; j < jl; j++) {
@@ -1241,6 +1275,54 @@ class WebGLRenderer {
             }
         }
 
+        // raw shaders don't declare the views, so they're drawn into each view's layer of the texture array
+        function renderObjectPerView(
+            object,
+            scene,
+            camera,
+            geometry,
+            material,
+            group
+        ) {
+            const multiviewFramebuffer = _framebuffer;
+            const cameras = camera.cameras;
+
+            for (let j = 0, jl = cameras.length; j < jl; j++) {
+                const camera2 = cameras[j];
+
+                if (object.layers.test(camera2.layers)) {
+                    _this.setFramebuffer(xr.getViewFramebuffer(j));
+                    state.viewport(_currentViewport.copy(camera2.viewport));
+
+                    currentRenderState.setupLightsView(camera2);
+
+                    renderObject(
+                        object,
+                        scene,
+                        camera2,
+                        geometry,
+                        material,
+                        group
+                    );
+                }
+            }
+
+            _this.setFramebuffer(multiviewFramebuffer);
+            currentRenderState.setupLightsView(camera);
+        }
+
+        /**
+         * Number of views an XR camera draws in one pass, with the WebXRManager rendering into a texture array
+         * projection layer with OVR_multiview2. 0 for any other camera, and when rendering to a render target
+         */
+        function getNumMultiviewViews(camera) {
+            return camera.isArrayCamera === true &&
+                camera.isMultiviewCamera === true &&
+                _currentRenderTarget === null
+                ? camera.cameras.length
+                : 0;
+        }
+
         function renderObject(
             object,
             scene,
@@ -1293,7 +1375,7 @@ class WebGLRenderer {
             );
         }
 
-        function initMaterial(material, scene, object) {
+        function initMaterial(material, scene, object, numMultiviewViews = 0) {
             if (scene.isScene !== true) scene = _emptyScene; // scene could be a Mesh, Line, Points, ...
 
             const materialProperties = properties.get(material);
@@ -1308,7 +1390,8 @@ class WebGLRenderer {
                 lights.state,
                 shadowsArray,
                 scene,
-                object
+                object,
+                numMultiviewViews
             );
             const programCacheKey = programCache.getProgramCacheKey(parameters);
 
@@ -1320,6 +1403,7 @@ class WebGLRenderer {
                 ? scene.environment
                 : null;
             materialProperties.fog = scene.fog;
+            materialProperties.numMultiviewViews = numMultiviewViews;
             materialProperties.envMap = cubemaps.get(
                 material.envMap || materialProperties.environment
             );
@@ -1423,6 +1507,7 @@ class WebGLRenderer {
                     ? _this.outputEncoding
                     : _currentRenderTarget.texture.encoding;
             const envMap = cubemaps.get(material.envMap || environment);
+            const numMultiviewViews = getNumMultiviewViews(camera);
 
             const materialProperties = properties.get(material);
             const lights = currentRenderState.state.lights;
@@ -1445,15 +1530,15 @@ class WebGLRenderer {
 
             if (material.version === materialProperties.__version) {
                 if (material.fog && materialProperties.fog !== fog) {
-                    initMaterial(material, scene, object);
+                    initMaterial(material, scene, object, numMultiviewViews);
                 } else if (materialProperties.environment !== environment) {
-                    initMaterial(material, scene, object);
+                    initMaterial(material, scene, object, numMultiviewViews);
                 } else if (
                     materialProperties.needsLights &&
                     materialProperties.lightsStateVersion !==
                         lights.state.version
                 ) {
-                    initMaterial(material, scene, object);
+                    initMaterial(material, scene, object, numMultiviewViews);
                 } else if (
                     materialProperties.numClippingPlanes !== undefined &&
                     (materialProperties.numClippingPlanes !==
@@ -1461,14 +1546,18 @@ class WebGLRenderer {
                         materialProperties.numIntersection !==
                             clipping.numIntersection)
                 ) {
-                    initMaterial(material, scene, object);
+                    initMaterial(material, scene, object, numMultiviewViews);
                 } else if (materialProperties.outputEncoding !== encoding) {
-                    initMaterial(material, scene, object);
+                    initMaterial(material, scene, object, numMultiviewViews);
                 } else if (materialProperties.envMap !== envMap) {
-                    initMaterial(material, scene, object);
+                    initMaterial(material, scene, object, numMultiviewViews);
+                } else if (
+                    materialProperties.numMultiviewViews !== numMultiviewViews
+                ) {
+                    initMaterial(material, scene, object, numMultiviewViews);
                 }
             } else {
-                initMaterial(material, scene, object);
+                initMaterial(material, scene, object, numMultiviewViews);
                 materialProperties.__version = material.version;
             }
 
@@ -1499,6 +1588,23 @@ class WebGLRenderer {
                     camera.projectionMatrix
                 );
 
+                if (numMultiviewViews > 0) {
+                    const cameras = camera.cameras;
+
+                    for (let i = 0; i < numMultiviewViews; i++) {
+                        _viewProjectionMatrices[i] =
+                            cameras[i].projectionMatrix;
+                        _viewMatrices[i] = cameras[i].matrixWorldInverse;
+                    }
+
+                    p_uniforms.setValue(
+                        _gl,
+                        "projectionMatrices",
+                        _viewProjectionMatrices
+                    );
+                    p_uniforms.setValue(_gl, "viewMatrices", _viewMatrices);
+                }
+
                 if (capabilities.logarithmicDepthBuffer) {
                     p_uniforms.setValue(
                         _gl,
@@ -1534,6 +1640,26 @@ class WebGLRenderer {
                             _vector3.setFromMatrixPosition(camera.matrixWorld)
                         );
                     }
+
+                    if (numMultiviewViews > 0) {
+                        const cameras = camera.cameras;
+
+                        for (let i = 0; i < numMultiviewViews; i++) {
+                            if (_viewCameraPositions[i] === undefined) {
+                                _viewCameraPositions[i] = new Vector3();
+                            }
+
+                            _viewCameraPositions[i].setFromMatrixPosition(
+                                cameras[i].matrixWorld
+                            );
+                        }
+
+                        p_uniforms.setValue(
+                            _gl,
+                            "cameraPositions",
+                            _viewCameraPositions
+                        );
+                    }
                 }
 
                 if (
@@ -1696,9 +1822,48 @@ class WebGLRenderer {
             p_uniforms.setValue(_gl, "normalMatrix", object.normalMatrix);
             p_uniforms.setValue(_gl, "modelMatrix", object.matrixWorld);
 
+            if (numMultiviewViews > 0) {
+                setViewObjectMatrices(p_uniforms, camera, object);
+            }
+
             return program;
         }
 
+        /**
+         * Model view and normal matrices of an object for each view of a multiview camera.
+         * Views that can't see the object get a zero model view matrix, which collapses it so nothing is drawn
+         */
+        function setViewObjectMatrices(p_uniforms, camera, object) {
+            const cameras = camera.cameras;
+
+            for (let i = 0, l = cameras.length; i < l; i++) {
+                if (_viewModelViewMatrices[i] === undefined) {
+                    _viewModelViewMatrices[i] = new Matrix4();
+                    _viewNormalMatrices[i] = new Matrix3();
+                }
+
+                const modelViewMatrix = _viewModelViewMatrices[i];
+
+                if (object.layers.test(cameras[i].layers)) {
+                    modelViewMatrix.multiplyMatrices(
+                        cameras[i].matrixWorldInverse,
+                        object.matrixWorld
+                    );
+                } else {
+                    modelViewMatrix.makeScale(0, 0, 0);
+                }
+
+                _viewNormalMatrices[i].getNormalMatrix(modelViewMatrix);
+            }
+
+            p_uniforms.setValue(
+                _gl,
+                "modelViewMatrices",
+                _viewModelViewMatrices
+            );
+            p_uniforms.setValue(_gl, "normalMatrices", _viewNormalMatrices);
+        }
+
         // If uniforms are marked as clean, they don't need to be loaded to the GPU.
         function markUniformsLightsNeedsUpdate(uniforms, value) {
             uniforms.ambientLightColor.needsUpdate = value;
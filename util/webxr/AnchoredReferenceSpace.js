@@ -0,0 +1,65 @@
+import { EventDispatcher } from "three/src/core/EventDispatcher";
+import { Matrix4 } from "three/src/math/Matrix4";
+import { Quaternion } from "three/src/math/Quaternion";
+import { Vector3 } from "three/src/math/Vector3";
+
+/**
+ * Offset of a reference space that undoes its resets, so poses in it stay where they were in the room
+ */
+class AnchoredReferenceSpace {
+    constructor(referenceSpace) {
+        this.referenceSpace = referenceSpace;
+        this.space = referenceSpace;
+
+        // Old origin in the coordinates of the reset reference space
+        this.offset = new Matrix4();
+
+        this.onReset = this.onReset.bind(this);
+        this.referenceSpace.addEventListener("reset", this.onReset);
+    }
+
+    onReset({ transform }) {
+        const previousSpace = this.space;
+
+        if (transform) {
+            this.offset.premultiply(
+                new Matrix4().fromArray(transform.inverse.matrix)
+            );
+            this.space = this.referenceSpace.getOffsetReferenceSpace(
+                AnchoredReferenceSpace.toRigidTransform(this.offset)
+            );
+        }
+
+        this.dispatchEvent({
+            type: "reset",
+            space: this.space,
+            previousSpace,
+            transform: transform || null,
+        });
+    }
+
+    static toRigidTransform(matrix) {
+        const position = new Vector3();
+        const quaternion = new Quaternion();
+        const scale = new Vector3();
+        matrix.decompose(position, quaternion, scale);
+
+        return new XRRigidTransform(
+            { x: position.x, y: position.y, z: position.z, w: 1.0 },
+            {
+                x: quaternion.x,
+                y: quaternion.y,
+                z: quaternion.z,
+                w: quaternion.w,
+            }
+        );
+    }
+
+    dispose() {
+        this.referenceSpace.removeEventListener("reset", this.onReset);
+    }
+}
+
+Object.assign(AnchoredReferenceSpace.prototype, EventDispatcher.prototype);
+
+export { AnchoredReferenceSpace };
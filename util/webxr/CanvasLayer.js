@@ -0,0 +1,167 @@
+import { Quaternion, Vector3 } from "three";
+
+/**
+ * Shows a CanvasUI panel through a WebGL quad layer placed wherever the panel's mesh is
+ */
+class CanvasLayer {
+    constructor(ui, renderer) {
+        this.ui = ui;
+        this.renderer = renderer;
+        this.gl = renderer.getContext();
+        this.canvas = ui.context.canvas;
+
+        this.layer = this.createLayer();
+
+        // Version of the CanvasUI texture last uploaded to the layer
+        this.textureVersion = -1;
+
+        this.position = new Vector3();
+        this.quaternion = new Quaternion();
+        this.scale = new Vector3();
+
+        // Only write depth, so the projection layer is see-through where the panel is
+        this.ui.mesh.material.colorWrite = false;
+    }
+
+    /**
+     * Swaps the panel shown through the layer, for a panel of the same canvas size
+     */
+    setUI(ui) {
+        this.ui = ui;
+        this.canvas = ui.context.canvas;
+        this.textureVersion = -1;
+
+        this.ui.mesh.material.colorWrite = false;
+    }
+
+    /**
+     * WebGL layers need the WebXRManager to have created an XRWebGLBinding for the session
+     */
+    static isSupported(renderer) {
+        return !!renderer.xr.getBinding();
+    }
+
+    createLayer() {
+        return this.renderer.xr.getBinding().createQuadLayer({
+            space: this.renderer.xr.getReferenceSpace(),
+            viewPixelWidth: this.canvas.width,
+            viewPixelHeight: this.canvas.height,
+            layout: "mono",
+        });
+    }
+
+    /**
+     * Whether the stand-in is in a scene and visible, in which case the layer should be composited
+     */
+    get isVisible() {
+        const mesh = this.ui.mesh;
+
+        if (!mesh) {
+            return false;
+        }
+
+        let object = mesh;
+        while (object.parent) {
+            if (!object.visible) {
+                return false;
+            }
+
+            object = object.parent;
+        }
+
+        return object.isScene === true;
+    }
+
+    update() {
+        if (!this.isVisible) {
+            return;
+        }
+
+        this.updateTransform();
+        this.updateTexture();
+    }
+
+    /**
+     * Keeps the layer on top of its stand-in mesh
+     */
+    updateTransform() {
+        this.ui.mesh.matrixWorld.decompose(
+            this.position,
+            this.quaternion,
+            this.scale
+        );
+
+        // The scene's reference space is replaced when it's reset, see WebXRManager
+        const space = this.renderer.xr.getReferenceSpace();
+        if (this.layer.space !== space) {
+            this.layer.space = space;
+        }
+
+        const { x, y, z } = this.position;
+        this.layer.transform = new XRRigidTransform(
+            { x, y, z, w: 1.0 },
+            {
+                x: this.quaternion.x,
+                y: this.quaternion.y,
+                z: this.quaternion.z,
+                w: this.quaternion.w,
+            }
+        );
+
+        // Quads are drawn at twice their width and height, like the GlassLayer
+        const { width, height } = this.ui.panelSize;
+        this.layer.width = (width * this.scale.x) / 2;
+        this.layer.height = (height * this.scale.y) / 2;
+    }
+
+    /**
+     * Uploads the canvas, only when CanvasUI redrew it or the runtime lost the layer's content
+     */
+    updateTexture() {
+        const frame = this.renderer.xr.getFrame();
+
+        if (
+            !frame ||
+            (this.textureVersion === this.ui.texture.version &&
+                !this.layer.needsRedraw)
+        ) {
+            return;
+        }
+
+        const gl = this.gl;
+        const state = this.renderer.state;
+        const subImage = this.renderer.xr
+            .getBinding()
+            .getSubImage(this.layer, frame);
+        const { x, y } = subImage.viewport;
+
+        state.bindTexture(gl.TEXTURE_2D, subImage.colorTexture);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.texSubImage2D(
+            gl.TEXTURE_2D,
+            0,
+            x,
+            y,
+            gl.RGBA,
+            gl.UNSIGNED_BYTE,
+            this.canvas
+        );
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        state.unbindTexture();
+
+        this.textureVersion = this.ui.texture.version;
+    }
+
+    /**
+     * Destroys the XR layer, which must already be out of the session's render state
+     */
+    destroy() {
+        if (this.ui.mesh) {
+            this.ui.mesh.material.colorWrite = true;
+        }
+
+        this.layer.destroy();
+    }
+}
+
+export { CanvasLayer };
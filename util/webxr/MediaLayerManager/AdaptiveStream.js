@@ -0,0 +1,594 @@
+import { EventDispatcher } from "three";
+
+import {
+    loadStreamManifest,
+    fetchSegment,
+    isStreamUrl,
+} from "./streamManifest";
+
+// Streams by video, so anything holding a video can find the stream playing on it
+const streams = new WeakMap();
+
+// Weight of the newest throughput sample in the bandwidth estimate
+const BANDWIDTH_WEIGHT = 0.3;
+
+// Segments this small finish too fast to tell the bandwidth
+const MIN_SAMPLE_BYTES = 16 * 1024;
+
+// Frames to play before judging the dropped frame ratio
+const MIN_QUALITY_FRAMES = 60;
+
+/**
+ * Plays an HLS or DASH stream through Media Source Extensions, switching renditions to keep playback smooth
+ */
+class AdaptiveStream {
+    constructor(video, url, options = {}) {
+        this.video = video;
+        this.url = new URL(url, document.baseURI).href;
+        this.options = { ...AdaptiveStream.defaultOptions, ...options };
+
+        this.manifest = null;
+        this.renditions = [];
+        this.tracks = [];
+        this.mediaSource = null;
+        this.objectUrl = null;
+        this.initSegments = new Map();
+        this.ready = null;
+        this.timer = null;
+        this.destroyed = false;
+
+        this.renditionIndex = 0;
+        // Set by setRendition to turn off automatic switching
+        this.manualIndex = null;
+        // Highest rendition that plays without dropping frames
+        this.maxIndex = Infinity;
+        this.maxIndexTime = 0;
+        this.bandwidth = this.options.initialBandwidth;
+        this.quality = { total: 0, dropped: 0 };
+
+        this.update = this.update.bind(this);
+        this.onSeeking = this.onSeeking.bind(this);
+
+        const previous = streams.get(video);
+        if (previous) {
+            previous.destroy();
+        }
+        streams.set(video, this);
+    }
+
+    /**
+     * Buffer lengths are in seconds, bandwidths in bits per second
+     */
+    static get defaultOptions() {
+        return {
+            // Stop downloading with this much buffered ahead
+            bufferAhead: 30,
+            // Keep this much behind the playhead for seeking back
+            bufferBehind: 30,
+            // Below this, switch down straight away
+            lowBuffer: 6,
+            // Above this, switching up is safe
+            highBuffer: 15,
+            initialBandwidth: 2000000,
+            // Share of the estimated bandwidth a rendition may use
+            bandwidthSafety: 0.8,
+            maxDroppedFrameRatio: 0.1,
+            // Seconds of smooth playback before a capped rendition is tried again
+            droppedFramesRecovery: 30,
+            updateInterval: 500,
+        };
+    }
+
+    static isStreamUrl(url) {
+        return isStreamUrl(url);
+    }
+
+    /**
+     * Gets the stream playing on a video, or null
+     */
+    static forVideo(video) {
+        return streams.get(video) || null;
+    }
+
+    /**
+     * Resolves with the video init segment, which has the spherical metadata, see detectLayerOptions
+     */
+    async getVideoInitSegment() {
+        await this.load();
+
+        return this.getInitSegment(this.renditions[0].init);
+    }
+
+    get currentRendition() {
+        return this.renditions[this.renditionIndex] || null;
+    }
+
+    /**
+     * Seconds of video buffered ahead of the playhead
+     */
+    get bufferAhead() {
+        const track = this.tracks[0];
+
+        return track
+            ? this.getBufferedEnd(track.sourceBuffer) - this.video.currentTime
+            : 0;
+    }
+
+    /**
+     * Loads the manifest and attaches the stream to the video, once
+     */
+    load() {
+        if (!this.ready) {
+            this.ready = this.open();
+        }
+
+        return this.ready;
+    }
+
+    async open() {
+        if (!window.MediaSource) {
+            throw new Error(
+                "Invalid stream: Media Source Extensions are not supported by this browser"
+            );
+        }
+
+        this.manifest = await loadStreamManifest(this.url);
+        this.renditions = this.manifest.video.filter(({ type }) =>
+            MediaSource.isTypeSupported(type)
+        );
+
+        if (this.renditions.length === 0) {
+            throw new Error(
+                `Invalid stream: none of the video renditions of ${this.url} can be played by this browser`
+            );
+        }
+
+        const audio = this.manifest.audio.filter(({ type }) =>
+            MediaSource.isTypeSupported(type)
+        );
+
+        this.mediaSource = new MediaSource();
+        this.objectUrl = URL.createObjectURL(this.mediaSource);
+
+        const sourceOpen = new Promise((resolve) =>
+            this.mediaSource.addEventListener("sourceopen", resolve, {
+                once: true,
+            })
+        );
+        this.video.src = this.objectUrl;
+        await sourceOpen;
+
+        if (this.destroyed) {
+            return;
+        }
+
+        this.mediaSource.duration = this.manifest.duration;
+        this.renditionIndex = this.getBandwidthIndex();
+
+        this.tracks = [this.createTrack(this.renditions)];
+        if (audio.length > 0) {
+            // Audio is cheap next to video, so it stays on the default rendition
+            this.tracks.push(this.createTrack([audio[0]]));
+        }
+
+        // Fetched up front so the layer type can be detected before playback starts
+        await this.getInitSegment(this.renditions[0].init);
+
+        this.video.addEventListener("seeking", this.onSeeking);
+        this.timer = setInterval(this.update, this.options.updateInterval);
+        this.update();
+    }
+
+    createTrack(renditions) {
+        return {
+            renditions,
+            sourceBuffer: this.mediaSource.addSourceBuffer(renditions[0].type),
+            // Rendition whose init segment was appended last
+            initRendition: null,
+            // Start time of the next segment to download
+            position: 0,
+            loading: false,
+            abortController: null,
+            // Bumped on seeks, so downloads from before a seek are dropped
+            generation: 0,
+        };
+    }
+
+    /**
+     * Downloads an init segment, once per rendition
+     */
+    getInitSegment(init, signal) {
+        if (!this.initSegments.has(init)) {
+            const request = fetchSegment(init, signal);
+            this.initSegments.set(init, request);
+            // Don't keep failed or aborted requests around
+            request.catch(() => this.initSegments.delete(init));
+        }
+
+        return this.initSegments.get(init);
+    }
+
+    getTrackRendition(track) {
+        return track === this.tracks[0]
+            ? this.currentRendition
+            : track.renditions[0];
+    }
+
+    /**
+     * Renditions can switch at any segment boundary, as segments are aligned across them
+     */
+    getNextSegment(track) {
+        return (
+            this.getTrackRendition(track).segments.find(
+                ({ end }) => end > track.position + 0.001
+            ) || null
+        );
+    }
+
+    /**
+     * Switches to a video rendition, or back to automatic switching with null
+     */
+    setRendition(index) {
+        if (index !== null && (index < 0 || index >= this.renditions.length)) {
+            throw new Error(
+                `Invalid rendition: index must be null or between 0 and ${
+                    this.renditions.length - 1
+                }`
+            );
+        }
+
+        this.manualIndex = index;
+    }
+
+    update() {
+        if (this.destroyed) {
+            return;
+        }
+
+        this.tracks
+            .filter((track) => !track.loading)
+            .forEach((track) => {
+                this.fillBuffer(track).catch((error) => {
+                    // Aborted downloads and appends after destroy are expected
+                    if (error.name !== "AbortError" && !this.destroyed) {
+                        this.dispatchEvent({ type: "error", error });
+                    }
+                });
+            });
+
+        this.endOfStream();
+    }
+
+    /**
+     * Downloads and appends the next segment of a track, unless enough is buffered
+     */
+    async fillBuffer(track) {
+        const { currentTime } = this.video;
+
+        if (track.position - currentTime >= this.options.bufferAhead) {
+            return;
+        }
+
+        track.loading = true;
+
+        try {
+            await this.trimBuffer(track);
+
+            const isVideo = track === this.tracks[0];
+            if (isVideo) {
+                this.selectRendition();
+            }
+
+            const rendition = this.getTrackRendition(track);
+            const segment = this.getNextSegment(track);
+
+            if (!segment) {
+                return;
+            }
+
+            const { generation } = track;
+            track.abortController = new AbortController();
+            const { signal } = track.abortController;
+
+            if (track.initRendition !== rendition) {
+                const init = await this.getInitSegment(rendition.init, signal);
+
+                if (
+                    track.initRendition &&
+                    track.initRendition.type !== rendition.type &&
+                    track.sourceBuffer.changeType
+                ) {
+                    track.sourceBuffer.changeType(rendition.type);
+                }
+
+                await this.appendBuffer(track, init);
+                track.initRendition = rendition;
+            }
+
+            const startTime = performance.now();
+            const data = await fetchSegment(segment, signal);
+            this.updateBandwidth(
+                data.byteLength,
+                (performance.now() - startTime) / 1000
+            );
+
+            if (generation !== track.generation) {
+                return;
+            }
+
+            const appended = await this.appendBuffer(track, data);
+
+            if (appended && generation === track.generation) {
+                track.position = segment.end;
+            }
+        } finally {
+            track.loading = false;
+            track.abortController = null;
+        }
+    }
+
+    /**
+     * Appends to a track's buffer, returns false when the buffer is full
+     */
+    async appendBuffer(track, data) {
+        try {
+            await this.updateSourceBuffer(track.sourceBuffer, (sourceBuffer) =>
+                sourceBuffer.appendBuffer(data)
+            );
+        } catch (error) {
+            if (error.name !== "QuotaExceededError") {
+                throw error;
+            }
+
+            // Buffer is full, play some of it before downloading more
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Runs an operation on a source buffer and waits for it to finish
+     */
+    updateSourceBuffer(sourceBuffer, operation) {
+        return new Promise((resolve, reject) => {
+            const onUpdateEnd = () => {
+                sourceBuffer.removeEventListener("error", onError);
+                resolve();
+            };
+            const onError = () => {
+                sourceBuffer.removeEventListener("updateend", onUpdateEnd);
+                reject(
+                    new Error(
+                        "Stream append failed: the segment could not be decoded"
+                    )
+                );
+            };
+
+            sourceBuffer.addEventListener("updateend", onUpdateEnd, {
+                once: true,
+            });
+            sourceBuffer.addEventListener("error", onError, { once: true });
+
+            try {
+                operation(sourceBuffer);
+            } catch (error) {
+                sourceBuffer.removeEventListener("updateend", onUpdateEnd);
+                sourceBuffer.removeEventListener("error", onError);
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Removes what's buffered too far behind the playhead
+     */
+    async trimBuffer(track) {
+        const { buffered } = track.sourceBuffer;
+        const end = this.video.currentTime - this.options.bufferBehind;
+
+        if (buffered.length > 0 && buffered.start(0) < end) {
+            await this.updateSourceBuffer(track.sourceBuffer, (sourceBuffer) =>
+                sourceBuffer.remove(0, end)
+            );
+        }
+    }
+
+    /**
+     * End of the buffered range the playhead is in, or the playhead when it isn't buffered
+     */
+    getBufferedEnd(sourceBuffer) {
+        const { currentTime } = this.video;
+        const { buffered } = sourceBuffer;
+
+        for (let i = 0; i < buffered.length; i++) {
+            // Allow for a small gap at the start of a range
+            if (
+                buffered.start(i) <= currentTime + 0.1 &&
+                buffered.end(i) >= currentTime
+            ) {
+                return buffered.end(i);
+            }
+        }
+
+        return currentTime;
+    }
+
+    updateBandwidth(bytes, seconds) {
+        if (bytes < MIN_SAMPLE_BYTES || seconds <= 0) {
+            return;
+        }
+
+        const sample = (bytes * 8) / seconds;
+        this.bandwidth =
+            BANDWIDTH_WEIGHT * sample + (1 - BANDWIDTH_WEIGHT) * this.bandwidth;
+    }
+
+    /**
+     * Highest rendition the estimated bandwidth can sustain
+     */
+    getBandwidthIndex() {
+        const budget = this.bandwidth * this.options.bandwidthSafety;
+        let index = 0;
+
+        this.renditions.forEach(({ bandwidth }, renditionIndex) => {
+            if (bandwidth <= budget) {
+                index = renditionIndex;
+            }
+        });
+
+        return index;
+    }
+
+    /**
+     * Caps the renditions while too many frames are dropped
+     */
+    updateDroppedFrames() {
+        if (!this.video.getVideoPlaybackQuality) {
+            return;
+        }
+
+        const {
+            totalVideoFrames,
+            droppedVideoFrames,
+        } = this.video.getVideoPlaybackQuality();
+        const frames = totalVideoFrames - this.quality.total;
+
+        if (frames < MIN_QUALITY_FRAMES) {
+            return;
+        }
+
+        const droppedRatio =
+            (droppedVideoFrames - this.quality.dropped) / frames;
+        this.quality = { total: totalVideoFrames, dropped: droppedVideoFrames };
+
+        const now = performance.now();
+
+        if (
+            droppedRatio > this.options.maxDroppedFrameRatio &&
+            this.renditionIndex > 0
+        ) {
+            this.maxIndex = this.renditionIndex - 1;
+            this.maxIndexTime = now;
+        } else if (
+            this.maxIndex < this.renditions.length - 1 &&
+            now - this.maxIndexTime > this.options.droppedFramesRecovery * 1000
+        ) {
+            this.maxIndex++;
+            this.maxIndexTime = now;
+        }
+    }
+
+    /**
+     * Picks the video rendition for the next segment
+     */
+    selectRendition() {
+        let index;
+
+        if (this.manualIndex !== null) {
+            index = this.manualIndex;
+        } else {
+            this.updateDroppedFrames();
+
+            const current = this.renditionIndex;
+            const target = Math.min(this.getBandwidthIndex(), this.maxIndex);
+            const { bufferAhead } = this;
+
+            if (current > this.maxIndex) {
+                index = this.maxIndex;
+            } else if (target > current) {
+                index =
+                    bufferAhead >= this.options.highBuffer
+                        ? current + 1
+                        : current;
+            } else if (target < current) {
+                // A healthy buffer rides out a drop in bandwidth, a low one can't wait
+                if (bufferAhead >= this.options.highBuffer) {
+                    index = current;
+                } else if (bufferAhead >= this.options.lowBuffer) {
+                    index = current - 1;
+                } else {
+                    index = target;
+                }
+            } else {
+                index = current;
+            }
+        }
+
+        if (index !== this.renditionIndex) {
+            this.renditionIndex = index;
+            this.dispatchEvent({
+                type: "renditionchange",
+                rendition: this.currentRendition,
+                index,
+            });
+        }
+    }
+
+    /**
+     * Restarts downloading from the playhead when seeking outside the buffer
+     */
+    onSeeking() {
+        const { currentTime } = this.video;
+
+        this.tracks.forEach((track) => {
+            if (this.getBufferedEnd(track.sourceBuffer) > currentTime) {
+                return;
+            }
+
+            track.generation++;
+            track.position = currentTime;
+
+            if (track.abortController) {
+                track.abortController.abort();
+            }
+        });
+
+        this.update();
+    }
+
+    /**
+     * Tells the video there's nothing more to come once every track has its last segment
+     */
+    endOfStream() {
+        const isComplete = this.tracks.every(
+            (track) =>
+                !track.loading &&
+                !track.sourceBuffer.updating &&
+                !this.getNextSegment(track)
+        );
+
+        if (
+            this.tracks.length > 0 &&
+            isComplete &&
+            this.mediaSource.readyState === "open"
+        ) {
+            this.mediaSource.endOfStream();
+        }
+    }
+
+    destroy() {
+        this.destroyed = true;
+
+        clearInterval(this.timer);
+        this.video.removeEventListener("seeking", this.onSeeking);
+
+        this.tracks.forEach((track) => {
+            if (track.abortController) {
+                track.abortController.abort();
+            }
+        });
+
+        if (streams.get(this.video) === this) {
+            streams.delete(this.video);
+        }
+
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+        }
+    }
+}
+
+Object.assign(AdaptiveStream.prototype, EventDispatcher.prototype);
+
+export default AdaptiveStream;
@@ -0,0 +1,237 @@
+import { Quaternion, Vector3 } from "three";
+
+import SpatialAudio from "./SpatialAudio";
+
+/**
+ * Channels of W, X, Y and Z in each ordering, and the gain that brings W to SN3D
+ */
+const CHANNEL_ORDERS = {
+    ACN: { w: 0, y: 1, z: 2, x: 3, wGain: 1 },
+    FuMa: { w: 0, x: 1, y: 2, z: 3, wGain: Math.SQRT2 },
+};
+
+const DIRECTIONS = ["x", "y", "z"];
+
+// Virtual speakers on the corners of a cube around the head, in ambisonic coordinates
+const SPEAKERS = [-1, 1].flatMap((x) =>
+    [-1, 1].flatMap((y) => [-1, 1].map((z) => new Vector3(x, y, z).normalize()))
+);
+
+// Max rE weighting of the first order components, for sharper images on a 3D layout
+const FIRST_ORDER_WEIGHT = Math.sqrt(3) / 3;
+
+/**
+ * Ambisonics has X forward, Y left and Z up, three.js has -Z forward, -X left and Y up
+ */
+function ambisonicToThree({ x, y, z }, target) {
+    return target.set(-y, z, -x);
+}
+
+function threeToAmbisonic({ x, y, z }, target) {
+    return target.set(-z, -x, y);
+}
+
+/**
+ * Decodes the first-order ambisonic soundtrack of an equirect video to binaural audio
+ */
+class AmbisonicDecoder {
+    constructor(layer, renderer, video, { ambisonics = "ACN" } = {}) {
+        this.layer = layer;
+        this.renderer = renderer;
+        this.video = video;
+
+        this.context = SpatialAudio.getContext();
+        this.source = SpatialAudio.getSource(video);
+
+        this.createGraph();
+
+        this.channelOrder = null;
+        this.setChannelOrder(ambisonics);
+
+        this.isSpatial = null;
+        this.setSpatial(true);
+
+        this.stopResuming = SpatialAudio.keepResumed(video, renderer);
+
+        this.rotation = new Quaternion();
+        this.headQuaternion = new Quaternion();
+        this.layerQuaternion = new Quaternion();
+        this.basis = new Vector3();
+        this.rotated = new Vector3();
+        this.offset = new Vector3();
+    }
+
+    static get channelOrders() {
+        return Object.keys(CHANNEL_ORDERS);
+    }
+
+    createGraph() {
+        const context = this.context;
+        const gain = (value) => {
+            const node = context.createGain();
+            node.gain.value = value;
+            return node;
+        };
+
+        this.splitter = context.createChannelSplitter(4);
+
+        // W, X, Y and Z in SN3D, whatever the channel order
+        this.inputs = { w: gain(1), x: gain(1), y: gain(1), z: gain(1) };
+
+        // 3x3 rotation of the directional components, rotationGains[to][from]
+        this.outputs = { x: gain(1), y: gain(1), z: gain(1) };
+        this.rotationGains = {};
+        DIRECTIONS.forEach((to) => {
+            this.rotationGains[to] = {};
+
+            DIRECTIONS.forEach((from) => {
+                const node = gain(to === from ? 1 : 0);
+                this.inputs[from].connect(node);
+                node.connect(this.outputs[to]);
+                this.rotationGains[to][from] = node;
+            });
+        });
+
+        this.output = gain(1);
+        this.output.connect(context.destination);
+
+        this.speakers = SPEAKERS.map((direction) => {
+            const speakerGain = 1 / SPEAKERS.length;
+            const bus = gain(1);
+
+            this.inputs.w.connect(gain(speakerGain)).connect(bus);
+            DIRECTIONS.forEach((component) => {
+                this.outputs[component]
+                    .connect(
+                        gain(
+                            speakerGain *
+                                3 *
+                                FIRST_ORDER_WEIGHT *
+                                direction[component]
+                        )
+                    )
+                    .connect(bus);
+            });
+
+            const panner = context.createPanner();
+            panner.panningModel = "HRTF";
+            // Speakers are always a metre away, they shouldn't get quieter as the viewer moves
+            panner.rolloffFactor = 0;
+            bus.connect(panner).connect(this.output);
+
+            return {
+                panner,
+                direction: ambisonicToThree(direction, new Vector3()),
+            };
+        });
+    }
+
+    /**
+     * Sets whether the soundtrack is "ACN" (AmbiX) or "FuMa" ordered
+     */
+    setChannelOrder(channelOrder) {
+        const order = CHANNEL_ORDERS[channelOrder];
+
+        if (!order) {
+            throw new Error(
+                `Invalid channel order: channel order must be one of "ACN" || "FuMa"`
+            );
+        }
+
+        this.channelOrder = channelOrder;
+        this.splitter.disconnect();
+
+        ["w", ...DIRECTIONS].forEach((component) => {
+            this.splitter.connect(this.inputs[component], order[component]);
+        });
+        this.inputs.w.gain.value = order.wGain;
+    }
+
+    /**
+     * Decodes the soundtrack, or plays it straight out like the video would
+     */
+    setSpatial(isSpatial) {
+        if (isSpatial === this.isSpatial) {
+            return;
+        }
+
+        this.isSpatial = isSpatial;
+        this.source.disconnect();
+
+        this.source.connect(
+            isSpatial ? this.splitter : this.context.destination
+        );
+    }
+
+    update() {
+        if (!this.isSpatial) {
+            return;
+        }
+
+        const pose = SpatialAudio.updateListener(this.renderer);
+
+        if (!pose) {
+            return;
+        }
+
+        const { position, orientation } = pose.transform;
+        this.headQuaternion.copy(orientation);
+        this.layerQuaternion.copy(this.layer.transform.orientation);
+
+        // From the video's own frame to the world, then into the head's frame
+        this.rotation
+            .copy(this.headQuaternion)
+            .invert()
+            .multiply(this.layerQuaternion);
+
+        this.updateRotation();
+        this.updateSpeakers(position);
+    }
+
+    updateRotation() {
+        DIRECTIONS.forEach((from) => {
+            this.basis.set(0, 0, 0);
+            this.basis[from] = 1;
+
+            ambisonicToThree(this.basis, this.rotated).applyQuaternion(
+                this.rotation
+            );
+            threeToAmbisonic(this.rotated, this.basis);
+
+            DIRECTIONS.forEach((to) => {
+                this.rotationGains[to][from].gain.value = this.basis[to];
+            });
+        });
+    }
+
+    /**
+     * Keeps the virtual speakers around the head, where the listener is
+     */
+    updateSpeakers(headPosition) {
+        this.speakers.forEach(({ panner, direction }) => {
+            this.offset
+                .copy(direction)
+                .applyQuaternion(this.headQuaternion)
+                .add(headPosition);
+
+            if (panner.positionX) {
+                panner.positionX.value = this.offset.x;
+                panner.positionY.value = this.offset.y;
+                panner.positionZ.value = this.offset.z;
+            } else {
+                panner.setPosition(this.offset.x, this.offset.y, this.offset.z);
+            }
+        });
+    }
+
+    /**
+     * Disconnects the decoder, the video's source node stays connected straight out
+     */
+    destroy() {
+        this.stopResuming();
+        this.setSpatial(false);
+        this.output.disconnect();
+    }
+}
+
+export default AmbisonicDecoder;
@@ -0,0 +1,173 @@
+import { Euler, EventDispatcher, ImageLoader, Quaternion } from "three";
+
+import nextFrame from "./nextFrame";
+
+// Column and row of each face in a 4x3 horizontal cross, in cube map face order: +X, -X, +Y, -Y, +Z, -Z
+const CROSS_CELLS = [
+    [2, 1],
+    [0, 1],
+    [1, 0],
+    [1, 2],
+    [1, 1],
+    [3, 1],
+];
+
+function loadImage(source) {
+    if (typeof source !== "string") {
+        return Promise.resolve(source);
+    }
+
+    return new ImageLoader().setCrossOrigin("anonymous").loadAsync(source);
+}
+
+/**
+ * Loads the six faces of one eye, from six face images or a single horizontal cross image
+ */
+async function loadEyeFaces(source) {
+    if (Array.isArray(source)) {
+        if (source.length !== 6) {
+            throw new Error(
+                `Invalid cube map: expected 6 face images, got ${source.length}`
+            );
+        }
+
+        return Promise.all(source.map(loadImage));
+    }
+
+    const image = await loadImage(source);
+    const size = image.width / 4;
+
+    if (size !== image.height / 3) {
+        throw new Error(
+            "Invalid cube map: a cross layout image must be 4 faces wide and 3 faces high"
+        );
+    }
+
+    return Promise.all(
+        CROSS_CELLS.map(([column, row]) =>
+            createImageBitmap(image, column * size, row * size, size, size)
+        )
+    );
+}
+
+/**
+ * A still skybox composited through an XRCubeLayer
+ */
+class CubeLayer {
+    constructor(layer, faces, session, renderer) {
+        this.layer = layer;
+        this.faces = faces;
+        this.session = session;
+        this.renderer = renderer;
+
+        // Cube layers have no toolbar, but sit in the same layer stack as media layers
+        this.uiLayers = [];
+
+        this.isUploaded = false;
+        this.isDestroyed = false;
+
+        this.onFrame = this.onFrame.bind(this);
+        this.session.requestAnimationFrame(this.onFrame);
+    }
+
+    /**
+     * Loads mono faces, or stereo faces from `{ left, right }`
+     */
+    static async loadFaces(source) {
+        if (source.left !== undefined && source.right !== undefined) {
+            const [left, right] = await Promise.all([
+                loadEyeFaces(source.left),
+                loadEyeFaces(source.right),
+            ]);
+
+            return { left, right };
+        }
+
+        return { left: await loadEyeFaces(source) };
+    }
+
+    get isStereo() {
+        return this.layer.layout === "stereo";
+    }
+
+    onFrame(time, frame) {
+        if (this.isDestroyed) {
+            return;
+        }
+
+        if (!this.isUploaded || this.layer.needsRedraw) {
+            this.upload(frame);
+        }
+
+        this.session.requestAnimationFrame(this.onFrame);
+    }
+
+    upload(frame) {
+        const gl = this.renderer.getContext();
+        const state = this.renderer.state;
+        const binding = this.renderer.xr.getBinding();
+        const eyes = this.isStereo ? ["left", "right"] : ["none"];
+
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+
+        eyes.forEach((eye) => {
+            const subImage = binding.getSubImage(this.layer, frame, eye);
+            const faces = eye === "right" ? this.faces.right : this.faces.left;
+
+            state.bindTexture(gl.TEXTURE_CUBE_MAP, subImage.colorTexture);
+
+            faces.forEach((face, index) => {
+                gl.texSubImage2D(
+                    gl.TEXTURE_CUBE_MAP_POSITIVE_X + index,
+                    0,
+                    0,
+                    0,
+                    gl.RGBA,
+                    gl.UNSIGNED_BYTE,
+                    face
+                );
+            });
+        });
+
+        state.unbindTexture();
+
+        this.isUploaded = true;
+    }
+
+    /**
+     * Rotates the skybox, with Euler angles in radians
+     */
+    setRotation(x, y, z) {
+        const quaternion = new Quaternion().setFromEuler(new Euler(x, y, z));
+
+        this.layer.orientation = new DOMPointReadOnly(
+            quaternion.x,
+            quaternion.y,
+            quaternion.z,
+            quaternion.w
+        );
+    }
+
+    /**
+     * Destroys the layer and frees the faces once the manager's render state update without it is in use
+     */
+    async destroy() {
+        this.dispatchEvent({ type: "destroy" });
+
+        await nextFrame(this.session, this.renderer);
+        await nextFrame(this.session, this.renderer);
+
+        this.isDestroyed = true;
+        this.layer.destroy();
+
+        [...this.faces.left, ...(this.faces.right || [])].forEach((face) => {
+            if (face.close) {
+                face.close();
+            }
+        });
+    }
+}
+
+Object.assign(CubeLayer.prototype, EventDispatcher.prototype);
+
+export default CubeLayer;
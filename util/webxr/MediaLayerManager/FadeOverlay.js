@@ -0,0 +1,105 @@
+import * as THREE from "three";
+
+import GlassLayer from "./GlassLayer";
+import { isEquirectLayer } from "./layerTypes";
+
+// Radius of the sphere that blacks out an equirect when it fades, behind the objects of the scene
+// and well within the far plane of the apps' cameras
+const SPHERE_RADIUS = 50;
+
+// How far the overlay sits in front of the glass, so the two don't z-fight
+const OFFSET = 0.002;
+
+/**
+ * Black overlay in the projection layer that fades XR layers on runtimes without per-layer opacity
+ */
+class FadeOverlay {
+    constructor(layer, renderer, scene) {
+        this.layer = layer;
+        this.renderer = renderer;
+
+        this.object = isEquirectLayer(layer)
+            ? this.createSphere()
+            : this.createGlass();
+        this.object.visible = false;
+
+        scene.add(this.object);
+    }
+
+    createGlass() {
+        this.glassLayer = new GlassLayer(this.layer, this.renderer);
+
+        const glass = this.glassLayer.object;
+        glass.material.color.set(0x000000);
+        glass.material.opacity = 0;
+
+        return glass;
+    }
+
+    createSphere() {
+        this.glassLayer = null;
+
+        const sphere = new THREE.Mesh(
+            new THREE.SphereGeometry(SPHERE_RADIUS, 16, 8),
+            new THREE.MeshBasicMaterial({
+                color: 0x000000,
+                transparent: true,
+                opacity: 0,
+                side: THREE.BackSide,
+                depthWrite: false,
+            })
+        );
+        // Before the other transparent objects, and hidden by the opaque ones through the depth test
+        sphere.renderOrder = -Infinity;
+
+        return sphere;
+    }
+
+    /**
+     * Shows the overlay with 1 - opacity, hiding it when the layer is fully shown
+     */
+    setOpacity(opacity) {
+        this.object.material.opacity = 1 - opacity;
+        this.object.visible = opacity < 1;
+    }
+
+    /**
+     * Moves the overlay onto the layer, or the viewer for equirects
+     */
+    update() {
+        if (!this.object.visible) {
+            return;
+        }
+
+        if (!this.glassLayer) {
+            const pose = this.renderer.xr.getViewerPose();
+
+            if (pose) {
+                this.object.position.copy(pose.transform.position);
+            }
+            return;
+        }
+
+        this.glassLayer.move();
+        this.glassLayer.updateDimensions(this.layer);
+
+        if (this.glassLayer.isCylinder) {
+            // The arc is seen from inside, so it's pulled in towards the centre
+            this.object.scale.x -= OFFSET;
+            this.object.scale.z -= OFFSET;
+        } else {
+            this.object.translateZ(OFFSET);
+        }
+    }
+
+    destroy() {
+        if (this.object.parent) {
+            this.object.parent.remove(this.object);
+        }
+
+        this.object.geometry.dispose();
+        this.object.material.dispose();
+    }
+}
+
+export default FadeOverlay;
@@ -1,5 +1,7 @@
 import * as THREE from "three";
 
+import { isCylinderLayer } from "./layerTypes";
+
 export default class GlassLayer {
     constructor(layer, renderer) {
         this.layer = layer;
@@ -11,25 +13,80 @@ export default class GlassLayer {
         return this.glassObject;
     }
 
-    createGlassObject({
-        width,
-        height,
-        transform: {
-            position: { x, y, z },
-        },
-    }) {
-        const glassGeometry = new THREE.PlaneGeometry(1, 1); // to scale
+    get isCylinder() {
+        return isCylinderLayer(this.layer);
+    }
+
+    createGlassObject(layer) {
+        const {
+            transform: {
+                position: { x, y, z },
+            },
+        } = layer;
+
+        const glassGeometry = this.isCylinder
+            ? this.createCylinderGeometry(layer.centralAngle)
+            : new THREE.PlaneGeometry(1, 1); // to scale
         const glassMaterial = new THREE.MeshBasicMaterial({
             transparent: true,
             opacity: 0.5, // test
+            side: this.isCylinder ? THREE.BackSide : THREE.FrontSide,
         });
         const glass = new THREE.Mesh(glassGeometry, glassMaterial);
 
-        glass.scale.set(2 * width, 2 * height, 1);
-        glass.position.set(x, y, z + 0.01);
+        if (this.isCylinder) {
+            this.updateCylinderDimensions(glass, layer);
+            glass.position.set(x, y, z);
+        } else {
+            glass.scale.set(2 * layer.width, 2 * layer.height, 1);
+            glass.position.set(x, y, z + 0.01);
+        }
+
         return glass;
     }
 
+    /**
+     * Unit radius, unit height open arc centred on -Z, where a cylinder layer is displayed
+     */
+    createCylinderGeometry(centralAngle) {
+        this.centralAngle = centralAngle;
+
+        return new THREE.CylinderGeometry(
+            1,
+            1,
+            1,
+            32,
+            1,
+            true,
+            Math.PI - centralAngle / 2,
+            centralAngle
+        );
+    }
+
+    /**
+     * Scales the glass arc to the cylinder layer, rebuilding the arc if its central angle changed
+     */
+    updateCylinderDimensions(glass, { radius, centralAngle, aspectRatio }) {
+        if (centralAngle !== this.centralAngle) {
+            glass.geometry.dispose();
+            glass.geometry = this.createCylinderGeometry(centralAngle);
+        }
+
+        const height = GlassLayer.getCylinderHeight({
+            radius,
+            centralAngle,
+            aspectRatio,
+        });
+        glass.scale.set(radius, height, radius);
+    }
+
+    /**
+     * Height of a cylinder layer, derived from its arc length and aspect ratio
+     */
+    static getCylinderHeight({ radius, centralAngle, aspectRatio }) {
+        return (radius * centralAngle) / aspectRatio;
+    }
+
     move({ x, y, z }) {
         this.glassObject.position.set(x, y, z);
         this.glassObject.position.needsUpdate = true;
@@ -54,8 +111,12 @@ export default class GlassLayer {
         );
     }
 
-    updateDimensions({ width, height }) {
-        this.glassObject.scale.set(2 * width, 2 * height, 1);
+    updateDimensions(layer) {
+        if (this.isCylinder) {
+            this.updateCylinderDimensions(this.glassObject, layer);
+        } else {
+            this.glassObject.scale.set(2 * layer.width, 2 * layer.height, 1);
+        }
     }
 
     /**
@@ -79,4 +140,16 @@ export default class GlassLayer {
             this.layer.transform.orientation
         );
     }
+
+    /**
+     * Removes the glass from the scene, or the controller holding it, and frees its geometry and material
+     */
+    destroy() {
+        if (this.glassObject.parent) {
+            this.glassObject.parent.remove(this.glassObject);
+        }
+
+        this.glassObject.geometry.dispose();
+        this.glassObject.material.dispose();
+    }
 }
@@ -0,0 +1,78 @@
+// All layouts are kept in a single item, so they can be exported and cleared together
+const STORAGE_KEY = "webxr-layers:layouts";
+
+/**
+ * Saved media layer layouts in localStorage, kept only when storage is available
+ */
+class LayoutStore {
+    static getKey(src, referenceSpaceType) {
+        return `${referenceSpaceType} ${src}`;
+    }
+
+    get storage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    readAll() {
+        const { storage } = this;
+
+        try {
+            return (storage && JSON.parse(storage.getItem(STORAGE_KEY))) || {};
+        } catch (error) {
+            console.warn(`LayoutStore: saved layouts can't be read, ${error}`);
+            return {};
+        }
+    }
+
+    writeAll(layouts) {
+        const { storage } = this;
+
+        if (!storage) {
+            return;
+        }
+
+        try {
+            if (Object.keys(layouts).length > 0) {
+                storage.setItem(STORAGE_KEY, JSON.stringify(layouts));
+            } else {
+                storage.removeItem(STORAGE_KEY);
+            }
+        } catch (error) {
+            console.warn(`LayoutStore: layouts can't be saved, ${error}`);
+        }
+    }
+
+    get(key) {
+        return this.readAll()[key] || null;
+    }
+
+    /**
+     * Saves several layouts, as { key: layout }, in a single write
+     */
+    setAll(entries) {
+        this.writeAll({ ...this.readAll(), ...entries });
+    }
+
+    delete(key) {
+        const layouts = this.readAll();
+        delete layouts[key];
+        this.writeAll(layouts);
+    }
+
+    clear() {
+        this.writeAll({});
+    }
+
+    /**
+     * Every saved layout, as { key: layout }
+     */
+    export() {
+        return this.readAll();
+    }
+}
+
+export default LayoutStore;
@@ -0,0 +1,120 @@
+import * as THREE from "three";
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Body-locks a quad layer, easing it back in front of the viewer once they turn away
+ */
+export default class LazyFollow {
+    constructor(layer, renderer, { angle = Math.PI / 4, speed = 3 } = {}) {
+        this.layer = layer;
+        this.renderer = renderer;
+        this.angle = angle;
+        this.speed = speed;
+
+        this.isFollowing = false;
+        this.distance = null;
+        this.lastTime = null;
+
+        this.viewerPosition = new THREE.Vector3();
+        this.viewerQuaternion = new THREE.Quaternion();
+        this.forward = new THREE.Vector3();
+        this.toLayer = new THREE.Vector3();
+
+        this.position = new THREE.Vector3();
+        this.quaternion = new THREE.Quaternion();
+        this.targetPosition = new THREE.Vector3();
+        this.targetQuaternion = new THREE.Quaternion();
+    }
+
+    /**
+     * Moves the layer one step towards the viewer's heading, returns true if it moved
+     */
+    update() {
+        const pose = this.renderer.xr.getViewerPose();
+        const now = performance.now();
+        const delta = this.lastTime === null ? 0 : (now - this.lastTime) / 1000;
+        this.lastTime = now;
+
+        if (!pose) {
+            return false;
+        }
+
+        const { position, orientation } = pose.transform;
+        this.viewerPosition.set(position.x, position.y, position.z);
+        this.viewerQuaternion.set(
+            orientation.x,
+            orientation.y,
+            orientation.z,
+            orientation.w
+        );
+
+        // Only the heading matters, looking up or down never moves the layer
+        this.forward.set(0, 0, -1).applyQuaternion(this.viewerQuaternion);
+        this.forward.y = 0;
+
+        if (this.forward.lengthSq() < 1e-6) {
+            return false;
+        }
+
+        this.forward.normalize();
+
+        const layerTransform = this.layer.transform;
+        this.position.copy(layerTransform.position);
+        this.quaternion.copy(layerTransform.orientation);
+
+        this.toLayer.subVectors(this.position, this.viewerPosition);
+        this.toLayer.y = 0;
+
+        if (!this.isFollowing) {
+            // Keep the distance the user last left the layer at
+            this.distance = this.toLayer.length();
+
+            if (
+                this.toLayer.lengthSq() > 0 &&
+                this.toLayer.angleTo(this.forward) > this.angle
+            ) {
+                this.isFollowing = true;
+            } else {
+                return false;
+            }
+        }
+
+        this.targetPosition
+            .copy(this.viewerPosition)
+            .addScaledVector(this.forward, this.distance);
+        this.targetPosition.y = this.position.y;
+
+        // Quads face +Z, so turn the quad's front back towards the viewer
+        this.targetQuaternion.setFromAxisAngle(
+            UP,
+            Math.atan2(-this.forward.x, -this.forward.z)
+        );
+
+        const alpha = 1 - Math.exp(-this.speed * delta);
+        this.position.lerp(this.targetPosition, alpha);
+        this.quaternion.slerp(this.targetQuaternion, alpha);
+
+        if (
+            this.position.distanceTo(this.targetPosition) < 0.005 &&
+            this.quaternion.angleTo(this.targetQuaternion) < 0.005
+        ) {
+            this.position.copy(this.targetPosition);
+            this.quaternion.copy(this.targetQuaternion);
+            this.isFollowing = false;
+        }
+
+        const { x, y, z } = this.position;
+        this.layer.transform = new XRRigidTransform(
+            { x, y, z, w: 1.0 },
+            {
+                x: this.quaternion.x,
+                y: this.quaternion.y,
+                z: this.quaternion.z,
+                w: this.quaternion.w,
+            }
+        );
+
+        return true;
+    }
+}
@@ -1,21 +1,82 @@
+import { Euler, EventDispatcher, Matrix4, Quaternion, Vector3 } from "three";
+
 import GlassLayer from "./GlassLayer";
+import LazyFollow from "./LazyFollow";
+import { isQuadLayer, isCylinderLayer, isEquirectLayer } from "./layerTypes";
+import {
+    EQUIRECT_GEOMETRY_PROPERTIES,
+    getEquirectPreset,
+} from "./equirectPresets";
+import nextFrame from "./nextFrame";
+import AdaptiveStream from "./AdaptiveStream";
 import Toolbar from "../Toolbar";
+import Subtitles from "../Subtitles";
+import SpatialAudio from "./SpatialAudio";
+import AmbisonicDecoder from "./AmbisonicDecoder";
+import FadeOverlay from "./FadeOverlay";
+import ResizeHandles from "./ResizeHandles";
 
-export default class MediaLayer {
-    constructor(layer, video, session, renderer, uiConfig, toolbarGroupConfig) {
+class MediaLayer {
+    constructor(
+        layer,
+        video,
+        session,
+        renderer,
+        uiConfig,
+        toolbarGroupConfig,
+        { space, follow, layerType, audio, resize, scene } = {}
+    ) {
         this.layer = layer;
         this.video = video;
         this.session = session;
         this.renderer = renderer;
 
-        this.glassLayer =
-            this.layer instanceof XRQuadLayer ? this.createGlassLayer() : null;
+        // Kept so the layer can be recreated the same way, see MediaLayerManager.swapLayer
+        this.space = space;
+        this.follow = follow;
+        this.layerType = layerType;
+        this.audio = audio;
+        this.resize = resize;
+
+        // Holds the fade overlay on runtimes without per-layer opacity
+        this.scene = scene;
+        this.opacity = 1;
+        this.fadeOverlay = null;
+        this.fadeGeneration = 0;
+
+        // Where the layout is saved, see MediaLayerManager.saveLayouts
+        this.layoutKey = null;
+
+        this.playlist = null;
+        this.subtitles = null;
+        this.onEnded = this.onEnded.bind(this);
+
+        // Head-locked layers move with the viewer, so they can't be grabbed
+        this.isHeadLocked = space === "viewer";
+        this.lazyFollow =
+            space === "lazy-follow"
+                ? new LazyFollow(this.layer, this.renderer, follow)
+                : null;
+
+        this.glassLayer = this.isPlaceable ? this.createGlassLayer() : null;
+        this.resizeHandles = this.createResizeHandles();
+        this.spatialAudio = this.createSpatialAudio();
 
         const toolbarConfig = this.createPositionConfig(toolbarGroupConfig);
         this.toolbar = this.createToolbar(uiConfig, toolbarConfig);
+
+        this.uiLayers = [];
     }
 
     get objects() {
+        if (this.resizeHandles) {
+            return [
+                ...this.toolbar.objects,
+                ...this.resizeHandles.objects,
+                this.glassLayer.object,
+            ];
+        }
+
         if (this.glassLayer) {
             return [...this.toolbar.objects, this.glassLayer.object];
         }
@@ -23,10 +84,69 @@ export default class MediaLayer {
         return this.toolbar.objects;
     }
 
+    /**
+     * Group holding the subtitle panel, to add to the scene once a text track is added
+     */
+    get subtitlesGroup() {
+        return this.subtitles ? this.subtitles.group : null;
+    }
+
     get toolbarGroup() {
         return this.toolbar.toolbarGroup;
     }
 
+    get isToolbarVisible() {
+        return !!this.toolbarGroup.parent;
+    }
+
+    /**
+     * Adds the toolbar, and the glass of quads and cylinders, to the scene or takes them out
+     */
+    setToolbarVisible(isVisible) {
+        const objects = this.glassLayer
+            ? [this.toolbarGroup, this.glass]
+            : [this.toolbarGroup];
+
+        objects.forEach((object) => {
+            if (isVisible && this.scene) {
+                this.scene.add(object);
+            } else if (!isVisible && object.parent) {
+                object.parent.remove(object);
+            }
+        });
+    }
+
+    /**
+     * Placement, size, toolbar visibility and playback position of the layer, to save between sessions
+     */
+    getLayoutState() {
+        const { position, orientation } = this.layer.transform;
+        const state = {
+            layerType: this.layerType,
+            transform: {
+                position: { x: position.x, y: position.y, z: position.z },
+                orientation: {
+                    x: orientation.x,
+                    y: orientation.y,
+                    z: orientation.z,
+                    w: orientation.w,
+                },
+            },
+            isToolbarVisible: this.isToolbarVisible,
+            currentTime: this.video.currentTime,
+        };
+
+        if (isQuadLayer(this.layer)) {
+            const { width, height } = this.layer;
+            Object.assign(state, { width, height });
+        } else if (isCylinderLayer(this.layer)) {
+            const { radius, centralAngle, aspectRatio } = this.layer;
+            Object.assign(state, { radius, centralAngle, aspectRatio });
+        }
+
+        return state;
+    }
+
     get glass() {
         if (this.glassLayer) {
             return this.glassLayer.object;
@@ -38,6 +158,277 @@ export default class MediaLayer {
         return glass;
     }
 
+    /**
+     * Quads get resize handles on their glass, unless the resize option is false
+     */
+    createResizeHandles() {
+        if (
+            this.resize === false ||
+            !this.glassLayer ||
+            !isQuadLayer(this.layer)
+        ) {
+            return null;
+        }
+
+        return new ResizeHandles(this.glassLayer, this.video, this.resize);
+    }
+
+    /**
+     * Starts resizing if the controller hits a resize handle, returns whether it did
+     */
+    startResize(controller, intersections) {
+        if (!this.resizeHandles || intersections.length === 0) {
+            return false;
+        }
+
+        return this.resizeHandles.start(controller, intersections[0].object);
+    }
+
+    endResize(controller) {
+        if (this.resizeHandles) {
+            this.resizeHandles.end(controller);
+        }
+    }
+
+    get isPlaceable() {
+        return (
+            !this.isHeadLocked &&
+            (isQuadLayer(this.layer) || isCylinderLayer(this.layer))
+        );
+    }
+
+    /**
+     * Sound comes from quads and cylinders, or from the ambisonic soundtrack of equirects
+     */
+    createSpatialAudio() {
+        if (this.audio === false) {
+            return null;
+        }
+
+        if (isEquirectLayer(this.layer)) {
+            return this.audio && this.audio.ambisonics
+                ? new AmbisonicDecoder(
+                      this.layer,
+                      this.renderer,
+                      this.video,
+                      this.audio
+                  )
+                : null;
+        }
+
+        if (!this.isPlaceable) {
+            return null;
+        }
+
+        return new SpatialAudio(
+            this.layer,
+            this.renderer,
+            this.video,
+            this.audio
+        );
+    }
+
+    /**
+     * Switches between spatial audio, or a decoded ambisonic soundtrack, and the video's own audio
+     */
+    setSpatialAudio(isSpatial) {
+        if (!this.spatialAudio) {
+            throw new Error(
+                "Invalid media layer: only quad and cylinder layers and ambisonic equirects have spatial audio"
+            );
+        }
+
+        this.spatialAudio.setSpatial(isSpatial);
+    }
+
+    /**
+     * Adds previous and next item buttons to the toolbar, MediaLayerManager.setPlaylist loads the items
+     */
+    setPlaylist(playlist) {
+        if (this.playlist) {
+            this.video.removeEventListener("ended", this.onEnded);
+        }
+
+        this.playlist = playlist;
+        this.toolbar.setPlaylist(playlist);
+
+        if (playlist) {
+            // The playlist decides what happens when an item ends
+            this.video.loop = false;
+            this.video.addEventListener("ended", this.onEnded);
+        }
+    }
+
+    /**
+     * Adds a WebVTT subtitle or caption track, see Subtitles.addTrack
+     */
+    addTextTrack(src, options, subtitlesConfig) {
+        if (!this.subtitles) {
+            this.subtitles = new Subtitles(
+                this.layer,
+                this.renderer,
+                this.video,
+                subtitlesConfig
+            );
+            this.toolbar.setSubtitles(this.subtitles);
+        }
+
+        return this.subtitles.addTrack(src, options);
+    }
+
+    onEnded() {
+        this.playlist.onEnded();
+    }
+
+    /**
+     * Whether the layer fades itself, as mesh layers and XR layers on runtimes with per-layer opacity do
+     */
+    get supportsOpacity() {
+        return "opacity" in this.layer;
+    }
+
+    /**
+     * Shows the layer at an opacity between 0 and 1
+     */
+    setOpacity(opacity) {
+        this.opacity = opacity;
+
+        if (this.supportsOpacity) {
+            if ("blendTextureSourceAlpha" in this.layer) {
+                this.layer.blendTextureSourceAlpha = true;
+            }
+            this.layer.opacity = opacity;
+            return;
+        }
+
+        if (!this.fadeOverlay && opacity < 1 && this.scene) {
+            this.fadeOverlay = new FadeOverlay(
+                this.layer,
+                this.renderer,
+                this.scene
+            );
+        }
+
+        if (this.fadeOverlay) {
+            this.fadeOverlay.setOpacity(opacity);
+            this.fadeOverlay.update();
+        }
+    }
+
+    /**
+     * Fades the layer to an opacity, resolves false if another fade took over
+     */
+    async fadeTo(opacity, duration = 1) {
+        const generation = ++this.fadeGeneration;
+        const from = this.opacity;
+        const start = performance.now();
+
+        if (!this.supportsOpacity && !this.scene) {
+            console.warn(
+                "MediaLayer: this runtime has no per-layer opacity, a scene is needed to fade the layer"
+            );
+        }
+
+        while (true) {
+            const elapsed = (performance.now() - start) / 1000;
+            const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+
+            this.setOpacity(from + (opacity - from) * progress);
+
+            if (progress === 1) {
+                return true;
+            }
+
+            await nextFrame(this.session, this.renderer);
+
+            if (
+                generation !== this.fadeGeneration ||
+                !this.renderer.xr.isPresenting
+            ) {
+                return false;
+            }
+        }
+    }
+
+    /**
+     * Fades the layer in, from fully hidden unless it's partly faded already
+     */
+    fadeIn(duration) {
+        if (this.opacity === 1) {
+            this.setOpacity(0);
+        }
+
+        return this.fadeTo(1, duration);
+    }
+
+    fadeOut(duration) {
+        return this.fadeTo(0, duration);
+    }
+
+    /**
+     * Fades this layer out while another media layer fades in
+     */
+    async crossfade(mediaLayer, duration) {
+        const [fadedOut, fadedIn] = await Promise.all([
+            this.fadeOut(duration),
+            mediaLayer.fadeIn(duration),
+        ]);
+
+        return fadedOut && fadedIn;
+    }
+
+    /**
+     * Swaps in a new XR layer for the same video, keeping the toolbar and glass
+     */
+    replaceLayer(layer, layerType) {
+        this.layer = layer;
+        this.layerType = layerType;
+        this.toolbar.layer = layer;
+
+        if (this.subtitles) {
+            this.subtitles.setLayer(layer);
+        }
+
+        if (this.lazyFollow) {
+            this.lazyFollow.layer = layer;
+        }
+
+        const oldGlassLayer = this.glassLayer;
+        const parent = oldGlassLayer && oldGlassLayer.object.parent;
+
+        if (this.resizeHandles) {
+            this.resizeHandles.destroy();
+        }
+
+        this.glassLayer = this.isPlaceable ? this.createGlassLayer() : null;
+        this.resizeHandles = this.createResizeHandles();
+
+        // Quads and cylinders share a panner, equirects need a decoder instead
+        if (this.spatialAudio) {
+            this.spatialAudio.destroy();
+        }
+        this.spatialAudio = this.createSpatialAudio();
+
+        if (oldGlassLayer) {
+            oldGlassLayer.destroy();
+        }
+
+        // A glass held by a controller stays in its hold, where the old one was
+        if (this.glassLayer && parent) {
+            parent.attach(this.glassLayer.object);
+        }
+
+        // The new layer picks up where the fade of the old one is
+        if (this.fadeOverlay) {
+            this.fadeOverlay.destroy();
+            this.fadeOverlay = null;
+        }
+
+        if (this.opacity < 1) {
+            this.setOpacity(this.opacity);
+        }
+    }
+
     createToolbar(uiConfig, toolbarGroupConfig) {
         const toolbar = new Toolbar(this.layer, this.renderer, this.video, {
             uiConfig,
@@ -51,16 +442,171 @@ export default class MediaLayer {
         this.toolbar.update(intersections);
     }
 
+    get isGrabbed() {
+        const parent = this.glassLayer && this.glassLayer.object.parent;
+        return !!parent && !parent.isScene;
+    }
+
     updateOnRender() {
+        // Glass drives the layer transform, so it has to be moved along with the layer
+        if (this.lazyFollow && !this.isGrabbed && this.lazyFollow.update()) {
+            this.glassLayer.move();
+        }
+
         this.toolbar.updateOnRender(!!this.glassLayer);
 
+        if (this.subtitles) {
+            this.subtitles.updateOnRender();
+        }
+
+        if (this.spatialAudio) {
+            this.spatialAudio.update();
+        }
+
+        if (this.isHeadLocked) {
+            this.updateHeadLockedToolbar();
+        }
+
         if (this.glassLayer) {
             this.glassLayer.updateOnRender();
         }
+
+        if (this.resizeHandles) {
+            this.resizeHandles.update();
+        }
+
+        if (this.fadeOverlay) {
+            this.fadeOverlay.update();
+        }
+
+        this.updateUILayers();
+    }
+
+    /**
+     * Lets the MediaLayerManager know when toolbar panels shown through quad layers appear or disappear
+     */
+    updateUILayers() {
+        const uiLayers = this.toolbar.layers;
+        const changed =
+            uiLayers.length !== this.uiLayers.length ||
+            uiLayers.some((layer, index) => layer !== this.uiLayers[index]);
+
+        if (changed) {
+            this.uiLayers = uiLayers;
+            this.dispatchEvent({ type: "layerschange" });
+        }
+    }
+
+    /**
+     * Head-locked layer transforms are relative to the viewer, so the toolbar is placed from the viewer pose
+     */
+    updateHeadLockedToolbar() {
+        const pose = this.renderer.xr.getViewerPose();
+
+        if (!pose) {
+            return;
+        }
+
+        const position = new Vector3();
+        const quaternion = new Quaternion();
+        const scale = new Vector3();
+
+        new Matrix4()
+            .fromArray(pose.transform.matrix)
+            .multiply(new Matrix4().fromArray(this.layer.transform.matrix))
+            .decompose(position, quaternion, scale);
+
+        this.toolbar.updateOrientation(position, quaternion);
+
+        if (this.subtitles) {
+            this.subtitles.updateOrientation(position, quaternion);
+        }
+
+        if (this.layer.isMeshLayer) {
+            this.layer.setWorldOrientation(position, quaternion);
+        }
+    }
+
+    /**
+     * Updates any of radius, centralHorizontalAngle, upperVerticalAngle and lowerVerticalAngle of an equirect layer
+     */
+    setEquirectGeometry(geometry) {
+        if (!isEquirectLayer(this.layer)) {
+            throw new Error(
+                "Invalid layer type: equirect geometry can only be set on equirect layers"
+            );
+        }
+
+        EQUIRECT_GEOMETRY_PROPERTIES.forEach((property) => {
+            if (geometry[property] !== undefined) {
+                this.layer[property] = geometry[property];
+            }
+        });
+    }
+
+    /**
+     * Applies the geometry of an equirect preset, see MediaLayerManager.getEquirectPreset
+     */
+    applyEquirectPreset(preset, fov) {
+        const { layout, ...geometry } = getEquirectPreset(preset, fov);
+
+        if (layout !== undefined && layout !== this.layer.layout) {
+            console.warn(
+                `MediaLayer: the "${preset}" preset expects a "${layout}" layout, which can't be changed on a live layer`
+            );
+        }
+
+        this.setEquirectGeometry(geometry);
+    }
+
+    /**
+     * Turns the layer in place, with yaw, pitch and roll in radians
+     */
+    setOrientation({ yaw = 0, pitch = 0, roll = 0 }) {
+        const quaternion = new Quaternion().setFromEuler(
+            new Euler(pitch, yaw, roll, "YXZ")
+        );
+
+        this.setTransform(this.layer.transform.position, quaternion);
+    }
+
+    /**
+     * Places the layer at a position and quaternion in its reference space
+     */
+    setTransform({ x, y, z }, quaternion) {
+        this.layer.transform = new XRRigidTransform(
+            { x, y, z, w: 1.0 },
+            {
+                x: quaternion.x,
+                y: quaternion.y,
+                z: quaternion.z,
+                w: quaternion.w,
+            }
+        );
+
+        // The glass drives the layer transform, so it has to move with it
+        if (this.glassLayer) {
+            this.glassLayer.move();
+        }
     }
 
     createPositionConfig(toolbarGroupConfig) {
         const { x, y, z } = this.layer.transform.position;
+
+        if (isCylinderLayer(this.layer)) {
+            // Under the middle of the arc, in front of the cylinder's centre
+            return (
+                toolbarGroupConfig || {
+                    rotateXAngle: 0,
+                    position: {
+                        x: x,
+                        y: y - GlassLayer.getCylinderHeight(this.layer) / 2,
+                        z: z - this.layer.radius + 0.05,
+                    },
+                }
+            );
+        }
+
         const defaultToolbarGroupConfig = {
             rotateXAngle: 0,
             position: {
@@ -72,4 +618,61 @@ export default class MediaLayer {
 
         return toolbarGroupConfig || defaultToolbarGroupConfig;
     }
+
+    /**
+     * Tears down the toolbar, glass, video and XR layer
+     */
+    async destroy() {
+        this.dispatchEvent({ type: "destroy" });
+
+        this.toolbar.destroy();
+
+        if (this.subtitles) {
+            this.subtitles.destroy();
+        }
+
+        if (this.spatialAudio) {
+            this.spatialAudio.destroy();
+        }
+
+        if (this.resizeHandles) {
+            this.resizeHandles.destroy();
+        }
+
+        if (this.glassLayer) {
+            this.glassLayer.destroy();
+        }
+
+        // Stops any fade in progress
+        this.fadeGeneration++;
+        if (this.fadeOverlay) {
+            this.fadeOverlay.destroy();
+        }
+
+        if (this.playlist) {
+            this.video.removeEventListener("ended", this.onEnded);
+        }
+
+        const stream = AdaptiveStream.forVideo(this.video);
+        if (stream) {
+            stream.destroy();
+        }
+
+        this.video.pause();
+        this.video.removeAttribute("src");
+        this.video.load();
+
+        await nextFrame(this.session, this.renderer);
+        await nextFrame(this.session, this.renderer);
+
+        this.layer.destroy();
+
+        if (this.toolbar.canvasLayer) {
+            this.toolbar.canvasLayer.destroy();
+        }
+    }
 }
+
+Object.assign(MediaLayer.prototype, EventDispatcher.prototype);
+
+export default MediaLayer;
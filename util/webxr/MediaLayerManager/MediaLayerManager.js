@@ -1,10 +1,67 @@
+import { MathUtils, Matrix4, Quaternion, Vector3 } from "three";
+
+import { AnchoredReferenceSpace } from "../AnchoredReferenceSpace";
 import MediaLayer from "./MediaLayer";
+import CubeLayer from "./CubeLayer";
+import Playlist from "./Playlist";
+import AdaptiveStream from "./AdaptiveStream";
+import LayoutStore from "./LayoutStore";
+import nextFrame from "./nextFrame";
+import waitForMetadata from "./waitForMetadata";
+import getQuadSize from "./quadSize";
+import { isQuadLayer, isEquirectLayer } from "./layerTypes";
+import { getEquirectPreset } from "./equirectPresets";
+import { ARRANGEMENTS, getArrangement } from "./arrangements";
+import { detectLayerOptions } from "./sphericalMetadata";
+import {
+    QuadMeshLayer,
+    CylinderMeshLayer,
+    EquirectMeshLayer,
+} from "./MeshLayer";
+
+// How often layouts are saved while the session runs, in milliseconds
+const SAVE_INTERVAL = 5000;
 
 class MediaLayerManager {
-    constructor(session, renderer) {
+    /**
+     * Without WebXR Layers support, media layers are rendered as meshes in the scene
+     */
+    constructor(session, renderer, scene) {
         this.session = session;
         this.renderer = renderer;
+        this.scene = scene;
         this.mediaFactory = this.createMediaFactory();
+
+        // Media and cube layers in composition order, from back to front
+        this.stack = [];
+        // Anchored reference spaces of the layers, by type or by the reference space given
+        this.referenceSpaces = new Map();
+        this.renderStateUpdatePending = false;
+        // The render state can't be updated any more once the session has ended
+        this.sessionEnded = false;
+
+        // Bumped by every arrangement, so the one in progress stops
+        this.arrangementGeneration = 0;
+
+        // Layouts are saved every few seconds once there's a media layer,
+        // and when the session ends or the page is left
+        this.layoutStore = new LayoutStore();
+        this.saveLayouts = this.saveLayouts.bind(this);
+        this.saveTimer = null;
+        this.onSessionEnd = this.onSessionEnd.bind(this);
+        this.session.addEventListener("end", this.onSessionEnd);
+
+        this.onLayerDestroy = this.onLayerDestroy.bind(this);
+        this.onLayersChange = this.onLayersChange.bind(this);
+
+        // The projection layer is recreated when dynamic resolution can't scale its views
+        this.updateRenderState = this.updateRenderState.bind(this);
+        this.renderer.xr.addEventListener(
+            "projectionlayerchange",
+            this.updateRenderState
+        );
+
+        this.onReferenceSpaceReset = this.onReferenceSpaceReset.bind(this);
     }
 
     static get QUAD_LAYER() {
@@ -15,61 +72,973 @@ class MediaLayerManager {
         return "EQUIRECT_LAYER";
     }
 
+    static get CYLINDER_LAYER() {
+        return "CYLINDER_LAYER";
+    }
+
+    /**
+     * Picks the layer type, layout and projection from the video's spherical metadata, or guesses them
+     */
+    static get AUTO_LAYER() {
+        return "AUTO_LAYER";
+    }
+
+    /**
+     * Space option for quads that stay in the world but recenter in front of the user when they turn away
+     */
+    static get LAZY_FOLLOW_SPACE() {
+        return "lazy-follow";
+    }
+
+    /**
+     * Space option for quads locked to the user's head, like a HUD
+     */
+    static get VIEWER_SPACE() {
+        return "viewer";
+    }
+
+    /**
+     * Equirect layer options for a preset: "360", "180", "3D-180" or "custom"
+     */
+    static getEquirectPreset(preset, fov) {
+        return getEquirectPreset(preset, fov);
+    }
+
+    /**
+     * Names of the arrangements of arrangeLayers
+     */
+    static get arrangements() {
+        return ARRANGEMENTS;
+    }
+
     static get validLayerTypes() {
-        return [this.EQUIRECT_LAYER, this.QUAD_LAYER];
+        return [this.EQUIRECT_LAYER, this.QUAD_LAYER, this.CYLINDER_LAYER];
+    }
+
+    /**
+     * Defaults for cylinder layers
+     */
+    static get defaultCylinderOptions() {
+        return {
+            radius: 2,
+            centralAngle: Math.PI / 2,
+            aspectRatio: 16 / 9,
+        };
+    }
+
+    /**
+     * Whether media layers can be composited by the XR runtime, instead of falling back to meshes
+     */
+    get supportsLayers() {
+        return (
+            typeof XRMediaBinding !== "undefined" &&
+            this.session.renderState.layers !== undefined
+        );
+    }
+
+    /**
+     * Whether the real world shows around the layers, as in immersive-ar sessions
+     */
+    get isPassthrough() {
+        return this.renderer.xr.getEnvironmentBlendMode() !== "opaque";
     }
 
     /**
      * Create a media factory used to create layers
      */
     createMediaFactory() {
+        if (!this.supportsLayers) {
+            return this.createMeshFactory();
+        }
+
         const mediaFactory = new XRMediaBinding(this.session);
         return mediaFactory;
     }
 
-    async createMediaLayer(
-        video,
-        layerType,
-        options,
-        uiConfig,
-        toolbarGroupConfig
-    ) {
+    /**
+     * Create a media factory with the XRMediaBinding interface that creates three.js meshes
+     */
+    createMeshFactory() {
+        if (!this.scene) {
+            throw new Error(
+                "Missing scene: a scene is required to render media layers without WebXR Layers support"
+            );
+        }
+
+        const scene = this.scene;
+
+        return {
+            createQuadLayer: (video, init) =>
+                new QuadMeshLayer(video, scene, init),
+            createCylinderLayer: (video, init) =>
+                new CylinderMeshLayer(video, scene, init),
+            createEquirectLayer: (video, init) =>
+                new EquirectMeshLayer(video, scene, init),
+        };
+    }
+
+    /**
+     * Resolves the `space` option of a layer to an anchored XRSpace
+     */
+    async requestLayerSpace(space) {
+        if (space instanceof XRSpace && !(space instanceof XRReferenceSpace)) {
+            return space;
+        }
+
+        const key =
+            space === undefined || space === MediaLayerManager.LAZY_FOLLOW_SPACE
+                ? this.renderer.xr.getReferenceSpaceType()
+                : space;
+
+        if (!this.referenceSpaces.has(key)) {
+            const referenceSpace =
+                key instanceof XRReferenceSpace
+                    ? Promise.resolve(key)
+                    : this.session.requestReferenceSpace(key);
+
+            this.referenceSpaces.set(
+                key,
+                referenceSpace.then((resolved) => {
+                    const anchored = new AnchoredReferenceSpace(resolved);
+                    anchored.addEventListener(
+                        "reset",
+                        this.onReferenceSpaceReset
+                    );
+
+                    return anchored;
+                })
+            );
+        }
+
+        return (await this.referenceSpaces.get(key)).space;
+    }
+
+    /**
+     * Keeps the layers of a reset reference space where they were, like the WebXRManager does for the scene
+     */
+    onReferenceSpaceReset({ space, previousSpace }) {
+        if (space === previousSpace) {
+            return;
+        }
+
+        this.stack.forEach(({ layer }) => {
+            if (layer.space === previousSpace) {
+                layer.space = space;
+            }
+        });
+    }
+
+    removeListeners() {
+        this.session.removeEventListener("end", this.onSessionEnd);
+        this.renderer.xr.removeEventListener(
+            "projectionlayerchange",
+            this.updateRenderState
+        );
+
+        this.referenceSpaces.forEach((anchored) =>
+            anchored.then((resolved) => {
+                resolved.removeEventListener(
+                    "reset",
+                    this.onReferenceSpaceReset
+                );
+                resolved.dispose();
+            })
+        );
+    }
+
+    /**
+     * Works out the layer type and the XR layer init for a video, see the README for the options
+     */
+    async resolveLayerInit(video, layerType, options = {}) {
+        let detectedOptions = {};
+        let detectedOrientation = null;
+
+        if (layerType === MediaLayerManager.AUTO_LAYER) {
+            const stream = AdaptiveStream.forVideo(video);
+            const detected = await detectLayerOptions(
+                video,
+                stream
+                    ? {
+                          src: stream.url,
+                          initSegment: await stream.getVideoInitSegment(),
+                      }
+                    : {}
+            );
+
+            layerType = detected.layerType;
+            detectedOptions = detected.options;
+            detectedOrientation = detected.orientation || null;
+        }
+
         // If layer is invalid, throw an error
         if (!MediaLayerManager.validLayerTypes.includes(layerType)) {
             throw new Error(
-                `Invalid layer type: layer type must be one of "QUAD_LAYER" || "EQUIRECT_LAYER"`
+                `Invalid layer type: layer type must be one of "QUAD_LAYER" || "EQUIRECT_LAYER" || "CYLINDER_LAYER" || "AUTO_LAYER"`
+            );
+        }
+
+        const {
+            space,
+            follow,
+            preset,
+            fov,
+            audio,
+            resize,
+            persist,
+            size,
+            angularSize,
+            ...layerOptions
+        } = options;
+
+        if (
+            space === MediaLayerManager.LAZY_FOLLOW_SPACE &&
+            layerType !== MediaLayerManager.QUAD_LAYER
+        ) {
+            throw new Error(
+                `Invalid space: "lazy-follow" is only supported for "QUAD_LAYER"`
             );
         }
 
-        let layer;
+        // Get reference space from the session, meshes are always in the scene's space
+        const refSpace = this.supportsLayers
+            ? await this.requestLayerSpace(space)
+            : null;
+
+        const defaultOptions =
+            layerType === MediaLayerManager.CYLINDER_LAYER
+                ? MediaLayerManager.defaultCylinderOptions
+                : {};
+        const presetOptions =
+            layerType === MediaLayerManager.EQUIRECT_LAYER &&
+            preset !== undefined
+                ? getEquirectPreset(preset, fov)
+                : {};
+
+        const init = {
+            space: refSpace,
+            ...defaultOptions,
+            ...detectedOptions,
+            ...presetOptions,
+            ...layerOptions,
+        };
 
-        // Get reference space from the session
-        const refSpace = await this.session.requestReferenceSpace("local");
+        if (layerType === MediaLayerManager.QUAD_LAYER) {
+            if (!(await waitForMetadata(video))) {
+                console.warn(
+                    `MediaLayerManager: metadata of ${video.currentSrc} didn't load, the quad is sized for 16:9 video`
+                );
+            }
+
+            Object.assign(
+                init,
+                getQuadSize(video, {
+                    layout: init.layout,
+                    width: init.width,
+                    height: init.height,
+                    size,
+                    angularSize: angularSize && {
+                        distance: await this.getViewerDistance(
+                            space,
+                            refSpace,
+                            init.transform
+                        ),
+                        ...angularSize,
+                    },
+                })
+            );
+        }
+
+        return {
+            layerType,
+            space,
+            follow,
+            audio,
+            resize,
+            persist,
+            init,
+            // Projection pose from the metadata, unless the layer is placed explicitly
+            orientation: layerOptions.transform ? null : detectedOrientation,
+        };
+    }
+
+    /**
+     * How far a layer placed at `transform` will be from the viewer
+     */
+    async getViewerDistance(space, refSpace, transform) {
+        const position = new Vector3();
 
-        // Create a layer based on the layer type
+        if (transform) {
+            position.copy(transform.position);
+        }
+
+        if (space === MediaLayerManager.VIEWER_SPACE) {
+            return position.length();
+        }
+
+        const frame =
+            this.renderer.xr.getFrame() ||
+            (await nextFrame(this.session, this.renderer));
+        const referenceSpace = this.renderer.xr.getReferenceSpace();
+        const viewerPose = frame && frame.getViewerPose(referenceSpace);
+
+        if (!viewerPose) {
+            return position.length();
+        }
+
+        // Meshes are in the scene's space, which is the renderer's reference space
+        const spacePose = refSpace && frame.getPose(refSpace, referenceSpace);
+
+        if (spacePose) {
+            position.applyMatrix4(
+                new Matrix4().fromArray(spacePose.transform.matrix)
+            );
+        }
+
+        return position.distanceTo(viewerPose.transform.position);
+    }
+
+    /**
+     * Creates the XR layer, or the mesh standing in for it, based on the layer type
+     */
+    createLayer(video, layerType, init) {
         switch (layerType) {
             case "QUAD_LAYER":
-                layer = this.mediaFactory.createQuadLayer(video, {
-                    space: refSpace,
-                    ...options,
-                });
-                break;
+                return this.mediaFactory.createQuadLayer(video, init);
             case "EQUIRECT_LAYER":
-                layer = this.mediaFactory.createEquirectLayer(video, {
-                    space: refSpace,
-                    ...options,
-                });
-                break;
+                return this.mediaFactory.createEquirectLayer(video, init);
+            case "CYLINDER_LAYER":
+                return this.mediaFactory.createCylinderLayer(video, init);
         }
+    }
 
-        return new MediaLayer(
+    /**
+     * Creates a media layer and adds it to the front of the layer stack
+     */
+    async createMediaLayer(
+        video,
+        layerType,
+        options = {},
+        uiConfig,
+        toolbarGroupConfig
+    ) {
+        const resolved = await this.resolveLayerInit(video, layerType, options);
+        const layoutKey =
+            resolved.persist === false
+                ? null
+                : this.getLayoutKey(video, resolved.space);
+        const layout = this.getSavedLayout(layoutKey, resolved.layerType);
+
+        const layer = this.createLayer(
+            video,
+            resolved.layerType,
+            layout ? this.getLayoutInit(resolved.init, layout) : resolved.init
+        );
+
+        const mediaLayer = new MediaLayer(
             layer,
             video,
             this.session,
             this.renderer,
             uiConfig,
-            toolbarGroupConfig
+            toolbarGroupConfig,
+            {
+                space: resolved.space,
+                follow: resolved.follow,
+                layerType: resolved.layerType,
+                audio: resolved.audio,
+                resize: resolved.resize,
+                scene: this.scene,
+            }
+        );
+
+        mediaLayer.layoutKey = layoutKey;
+
+        if (layoutKey) {
+            this.startSaving();
+        }
+
+        if (layout) {
+            await this.restoreLayout(mediaLayer, layout);
+        } else if (resolved.orientation) {
+            mediaLayer.setOrientation(resolved.orientation);
+        }
+
+        this.addLayer(mediaLayer);
+
+        return mediaLayer;
+    }
+
+    /**
+     * Key a layer's layout is saved under, null when it can't be found again
+     */
+    getLayoutKey(video, space) {
+        const stream = AdaptiveStream.forVideo(video);
+        // Streams play from a blob URL, which changes every time
+        const src = stream ? stream.url : video.currentSrc || video.src;
+
+        if (
+            !src ||
+            (typeof XRSpace !== "undefined" && space instanceof XRSpace)
+        ) {
+            return null;
+        }
+
+        const type =
+            space === undefined || space === MediaLayerManager.LAZY_FOLLOW_SPACE
+                ? this.renderer.xr.getReferenceSpaceType()
+                : space;
+
+        return LayoutStore.getKey(src, type);
+    }
+
+    /**
+     * Saved layout of a layer, if there's one for the same layer type
+     */
+    getSavedLayout(layoutKey, layerType) {
+        const layout = layoutKey && this.layoutStore.get(layoutKey);
+
+        return layout && layout.layerType === layerType ? layout : null;
+    }
+
+    /**
+     * Layer init with the saved placement and size
+     */
+    getLayoutInit(init, { transform, layerType, ...layout }) {
+        const { position, orientation } = transform;
+        const size =
+            layerType === MediaLayerManager.QUAD_LAYER
+                ? { width: layout.width, height: layout.height }
+                : layerType === MediaLayerManager.CYLINDER_LAYER
+                ? {
+                      radius: layout.radius,
+                      centralAngle: layout.centralAngle,
+                      aspectRatio: layout.aspectRatio,
+                  }
+                : {};
+
+        return {
+            ...init,
+            ...size,
+            transform: new XRRigidTransform(position, orientation),
+        };
+    }
+
+    /**
+     * Brings back the toolbar and the playback position of a saved layout
+     */
+    async restoreLayout(mediaLayer, { isToolbarVisible, currentTime }) {
+        const { video } = mediaLayer;
+
+        if (isToolbarVisible) {
+            mediaLayer.setToolbarVisible(true);
+        }
+
+        // A video that doesn't load starts from the beginning
+        if (!(await waitForMetadata(video))) {
+            return;
+        }
+
+        if (currentTime > 0 && currentTime < video.duration) {
+            video.currentTime = currentTime;
+        }
+    }
+
+    /**
+     * Saves the layout of every media layer that has a layout key
+     */
+    saveLayouts() {
+        const layouts = {};
+
+        this.layers.forEach((mediaLayer) => {
+            if (mediaLayer.layoutKey) {
+                layouts[mediaLayer.layoutKey] = mediaLayer.getLayoutState();
+            }
+        });
+
+        if (Object.keys(layouts).length > 0) {
+            this.layoutStore.setAll(layouts);
+        }
+    }
+
+    saveLayout(mediaLayer) {
+        if (mediaLayer.layoutKey) {
+            this.layoutStore.setAll({
+                [mediaLayer.layoutKey]: mediaLayer.getLayoutState(),
+            });
+        }
+    }
+
+    /**
+     * Forgets the saved layout of a media layer, or of every layer when none is given
+     */
+    clearSavedLayouts(mediaLayer) {
+        if (!mediaLayer) {
+            this.layoutStore.clear();
+        } else if (mediaLayer.layoutKey) {
+            this.layoutStore.delete(mediaLayer.layoutKey);
+        }
+    }
+
+    /**
+     * Every saved layout, as { "<reference space type> <media URL>": layout }
+     */
+    exportSavedLayouts() {
+        return this.layoutStore.export();
+    }
+
+    onSessionEnd() {
+        this.sessionEnded = true;
+        this.saveLayouts();
+        this.stopSaving();
+        this.removeListeners();
+    }
+
+    startSaving() {
+        if (this.saveTimer !== null || this.sessionEnded) {
+            return;
+        }
+
+        this.saveTimer = setInterval(this.saveLayouts, SAVE_INTERVAL);
+        window.addEventListener("pagehide", this.saveLayouts);
+    }
+
+    stopSaving() {
+        clearInterval(this.saveTimer);
+        this.saveTimer = null;
+        window.removeEventListener("pagehide", this.saveLayouts);
+    }
+
+    /**
+     * Sets the source of a video, through an AdaptiveStream for HLS and DASH manifests
+     */
+    async loadSource(video, src, streamOptions) {
+        const previousStream = AdaptiveStream.forVideo(video);
+
+        if (previousStream) {
+            previousStream.destroy();
+        }
+
+        if (!AdaptiveStream.isStreamUrl(src)) {
+            video.src = src;
+            return null;
+        }
+
+        const stream = new AdaptiveStream(video, src, streamOptions);
+        await stream.load();
+
+        return stream;
+    }
+
+    /**
+     * Attaches a playlist to a media layer and starts playing its first item
+     */
+    setPlaylist(mediaLayer, items, options) {
+        const playlist = new Playlist(items, options);
+
+        // Items load one at a time, and the ones skipped past while waiting aren't loaded
+        let loading = Promise.resolve();
+        let generation = 0;
+
+        playlist.addEventListener("itemchange", ({ item }) => {
+            const itemGeneration = ++generation;
+
+            loading = loading
+                .then(() => {
+                    if (itemGeneration === generation) {
+                        return this.loadPlaylistItem(mediaLayer, item);
+                    }
+                })
+                .catch((error) => console.error(error));
+        });
+
+        mediaLayer.setPlaylist(playlist);
+        playlist.select(playlist.index);
+
+        return playlist;
+    }
+
+    /**
+     * Plays a playlist item, recreating the layer when it needs another type or layout
+     */
+    async loadPlaylistItem(mediaLayer, item) {
+        const { video } = mediaLayer;
+        const src = new URL(item.src, document.baseURI).href;
+        const stream = AdaptiveStream.forVideo(video);
+        let isNewSource = false;
+
+        if ((stream ? stream.url : video.currentSrc) === src) {
+            video.currentTime = 0;
+        } else {
+            // Layouts are saved under the URL of the item that's playing
+            this.saveLayout(mediaLayer);
+            await this.loadSource(video, src, item.stream);
+            isNewSource = true;
+
+            if (mediaLayer.layoutKey) {
+                mediaLayer.layoutKey = this.getLayoutKey(
+                    video,
+                    mediaLayer.space
+                );
+            }
+        }
+
+        const itemOptions = item.options || {};
+        const resolved = await this.resolveLayerInit(
+            video,
+            item.layerType || MediaLayerManager.AUTO_LAYER,
+            {
+                space: mediaLayer.space,
+                follow: mediaLayer.follow,
+                audio: mediaLayer.audio,
+                resize: mediaLayer.resize,
+                ...itemOptions,
+            }
         );
+        const { layer } = mediaLayer;
+        const savedLayout =
+            isNewSource &&
+            this.getSavedLayout(mediaLayer.layoutKey, resolved.layerType);
+
+        // An item goes where it was saved, otherwise quads stay as wide as they were,
+        // resized or not, unless the item sizes them
+        if (savedLayout) {
+            resolved.init = this.getLayoutInit(resolved.init, savedLayout);
+        } else if (
+            resolved.layerType === MediaLayerManager.QUAD_LAYER &&
+            isQuadLayer(layer) &&
+            ["width", "height", "size", "angularSize"].every(
+                (option) => itemOptions[option] === undefined
+            )
+        ) {
+            Object.assign(
+                resolved.init,
+                getQuadSize(video, {
+                    layout: resolved.init.layout,
+                    width: layer.width,
+                })
+            );
+        }
+
+        if (
+            resolved.layerType !== mediaLayer.layerType ||
+            (resolved.init.layout || "mono") !== layer.layout
+        ) {
+            await this.swapLayer(mediaLayer, resolved);
+        } else if (isEquirectLayer(layer)) {
+            // Equirect geometry can change without a new layer
+            mediaLayer.setEquirectGeometry(resolved.init);
+        } else if (isQuadLayer(layer)) {
+            // The new video can have another aspect ratio
+            layer.width = resolved.init.width;
+            layer.height = resolved.init.height;
+        }
+
+        if (savedLayout) {
+            // A new layer is created with the saved transform already
+            if (mediaLayer.layer === layer) {
+                const { position, orientation } = savedLayout.transform;
+                mediaLayer.setTransform(position, orientation);
+            }
+
+            await this.restoreLayout(mediaLayer, savedLayout);
+        } else if (resolved.orientation) {
+            mediaLayer.setOrientation(resolved.orientation);
+        }
+
+        await video.play();
+    }
+
+    /**
+     * Recreates the XR layer of a media layer, keeping its placement
+     */
+    async swapLayer(mediaLayer, { layerType, init, audio, resize }) {
+        const oldLayer = mediaLayer.layer;
+        const keepPlacement =
+            mediaLayer.isPlaceable &&
+            layerType !== MediaLayerManager.EQUIRECT_LAYER &&
+            !init.transform;
+
+        const layer = this.createLayer(mediaLayer.video, layerType, {
+            ...init,
+            ...(keepPlacement && {
+                transform: oldLayer.transform,
+            }),
+        });
+
+        mediaLayer.audio = audio;
+        mediaLayer.resize = resize;
+        mediaLayer.replaceLayer(layer, layerType);
+
+        if (this.stack.includes(mediaLayer)) {
+            this.requestRenderStateUpdate();
+        }
+
+        await nextFrame(this.session, this.renderer);
+        await nextFrame(this.session, this.renderer);
+
+        oldLayer.destroy();
+    }
+
+    /**
+     * Moves quad media layers into a named arrangement around the viewer, resolves false if interrupted
+     */
+    async arrangeLayers(mediaLayers, arrangement, options = {}) {
+        const { duration = 1, ...arrangementOptions } = options;
+
+        if (
+            mediaLayers.some(
+                (mediaLayer) =>
+                    !mediaLayer.isPlaceable || !isQuadLayer(mediaLayer.layer)
+            )
+        ) {
+            throw new Error(
+                "Invalid media layer: only quad layers that aren't head-locked can be arranged"
+            );
+        }
+
+        const generation = ++this.arrangementGeneration;
+
+        // Quads are drawn at twice their width and height
+        const sizes = mediaLayers.map(({ layer }) => ({
+            width: 2 * layer.width,
+            height: 2 * layer.height,
+        }));
+        const poses = getArrangement(arrangement, sizes, arrangementOptions);
+
+        const { position: eyes, heading } = this.getViewerHeading();
+        const moves = mediaLayers.map((mediaLayer, index) => {
+            const { position, orientation } = mediaLayer.layer.transform;
+
+            return {
+                mediaLayer,
+                fromPosition: new Vector3().copy(position),
+                fromQuaternion: new Quaternion().copy(orientation),
+                toPosition: poses[index].position
+                    .applyQuaternion(heading)
+                    .add(eyes),
+                toQuaternion: heading.clone().multiply(poses[index].quaternion),
+            };
+        });
+
+        const position = new Vector3();
+        const quaternion = new Quaternion();
+        const start = performance.now();
+
+        while (true) {
+            const elapsed = (performance.now() - start) / 1000;
+            const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+            const eased = MathUtils.smoothstep(progress, 0, 1);
+
+            moves.forEach((move) => {
+                // A quad held by a controller stays where it's held
+                if (move.mediaLayer.isGrabbed) {
+                    return;
+                }
+
+                position.lerpVectors(move.fromPosition, move.toPosition, eased);
+                quaternion
+                    .copy(move.fromQuaternion)
+                    .slerp(move.toQuaternion, eased);
+                move.mediaLayer.setTransform(position, quaternion);
+            });
+
+            if (progress === 1) {
+                return true;
+            }
+
+            await nextFrame(this.session, this.renderer);
+
+            if (
+                generation !== this.arrangementGeneration ||
+                !this.renderer.xr.isPresenting
+            ) {
+                return false;
+            }
+        }
+    }
+
+    /**
+     * Levelled pose of the viewer's eyes, so arrangements stay upright
+     */
+    getViewerHeading() {
+        const pose = this.renderer.xr.getViewerPose();
+
+        if (!pose) {
+            return {
+                position: new Vector3(0, 1.6, 0),
+                heading: new Quaternion(),
+            };
+        }
+
+        const { position, orientation } = pose.transform;
+        const forward = new Vector3(0, 0, -1).applyQuaternion(
+            new Quaternion().copy(orientation)
+        );
+
+        return {
+            position: new Vector3().copy(position),
+            heading: new Quaternion().setFromAxisAngle(
+                new Vector3(0, 1, 0),
+                Math.atan2(-forward.x, -forward.z)
+            ),
+        };
+    }
+
+    /**
+     * Creates a still skybox behind every other layer
+     */
+    async createCubeLayer(source, options = {}) {
+        if (!this.supportsLayers) {
+            throw new Error(
+                "Unsupported layer type: cube layers require WebXR Layers support"
+            );
+        }
+
+        const { space, ...layerOptions } = options;
+
+        const [faces, refSpace] = await Promise.all([
+            CubeLayer.loadFaces(source),
+            this.requestLayerSpace(space),
+        ]);
+        const size = faces.left[0].width;
+
+        const layer = this.renderer.xr.getBinding().createCubeLayer({
+            space: refSpace,
+            viewPixelWidth: size,
+            viewPixelHeight: size,
+            layout: faces.right ? "stereo" : "mono",
+            isStatic: true,
+            ...layerOptions,
+        });
+
+        const cubeLayer = new CubeLayer(
+            layer,
+            faces,
+            this.session,
+            this.renderer
+        );
+
+        this.addLayer(cubeLayer, 0);
+
+        return cubeLayer;
+    }
+
+    /**
+     * Layers in composition order, from back to front
+     */
+    get layers() {
+        return [...this.stack];
+    }
+
+    /**
+     * Adds a media or cube layer to the stack, in front of the other layers unless an index is given
+     */
+    addLayer(mediaLayer, index = this.stack.length) {
+        if (this.stack.includes(mediaLayer)) {
+            this.stack.splice(this.stack.indexOf(mediaLayer), 1);
+        }
+
+        this.stack.splice(index, 0, mediaLayer);
+        mediaLayer.addEventListener("destroy", this.onLayerDestroy);
+        mediaLayer.addEventListener("layerschange", this.onLayersChange);
+        this.requestRenderStateUpdate();
+    }
+
+    removeLayer(mediaLayer) {
+        this.stack.splice(this.getStackIndex(mediaLayer), 1);
+        mediaLayer.removeEventListener("destroy", this.onLayerDestroy);
+        mediaLayer.removeEventListener("layerschange", this.onLayersChange);
+        this.requestRenderStateUpdate();
+    }
+
+    onLayerDestroy({ target }) {
+        // Saved before the video is unloaded
+        this.saveLayout(target);
+        this.removeLayer(target);
+    }
+
+    onLayersChange() {
+        this.requestRenderStateUpdate();
+    }
+
+    /**
+     * Destroys every media layer in the stack, saving their layouts first
+     */
+    destroy() {
+        this.saveLayouts();
+        this.stopSaving();
+        this.removeListeners();
+
+        return Promise.all(
+            this.layers.map((mediaLayer) => mediaLayer.destroy())
+        );
+    }
+
+    bringToFront(mediaLayer) {
+        this.stack.splice(this.getStackIndex(mediaLayer), 1);
+        this.stack.push(mediaLayer);
+        this.requestRenderStateUpdate();
+    }
+
+    sendToBack(mediaLayer) {
+        this.stack.splice(this.getStackIndex(mediaLayer), 1);
+        this.stack.unshift(mediaLayer);
+        this.requestRenderStateUpdate();
+    }
+
+    getStackIndex(mediaLayer) {
+        const index = this.stack.indexOf(mediaLayer);
+
+        if (index === -1) {
+            throw new Error(
+                "Invalid media layer: media layer is not in the layer stack"
+            );
+        }
+
+        return index;
+    }
+
+    /**
+     * Schedules a single render state update on the next frame, however many times the stack changed
+     */
+    requestRenderStateUpdate() {
+        if (this.renderStateUpdatePending || this.sessionEnded) {
+            return;
+        }
+
+        this.renderStateUpdatePending = true;
+        this.session.requestAnimationFrame(() => {
+            this.renderStateUpdatePending = false;
+            this.updateRenderState();
+        });
+    }
+
+    /**
+     * Pushes the stack to the session, with toolbars and then the projection layer in front
+     */
+    updateRenderState() {
+        if (this.sessionEnded) {
+            return;
+        }
+
+        if (!this.supportsLayers) {
+            // Meshes behind the rest of the scene, in stack order
+            this.stack.forEach(({ layer }, index) => {
+                layer.setRenderOrder(index - this.stack.length);
+            });
+            return;
+        }
+
+        const layers = this.stack.map(({ layer }) => layer);
+
+        this.stack.forEach(({ uiLayers }) => layers.push(...uiLayers));
+        const projectionLayer = this.renderer.xr.getProjectionLayer();
+
+        if (projectionLayer) {
+            layers.push(projectionLayer);
+        }
+
+        this.session.updateRenderState({ layers });
     }
 }
 
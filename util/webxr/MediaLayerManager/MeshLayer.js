@@ -0,0 +1,339 @@
+import * as THREE from "three";
+
+import getVideoAspectRatio from "./getVideoAspectRatio";
+
+/**
+ * three.js stand-ins for XR media layers, used without WebXR Layers support
+ */
+class MeshLayer {
+    constructor(video, scene, { transform, layout = "mono" } = {}) {
+        this.video = video;
+        this.scene = scene;
+        this.layout = layout;
+        this.needsRedraw = false;
+        this._opacity = 1;
+
+        this.texture = new THREE.VideoTexture(video);
+        this.texture.encoding = THREE.sRGBEncoding;
+
+        this.object = new THREE.Group();
+        this.transform = transform || new XRRigidTransform();
+    }
+
+    get isMeshLayer() {
+        return true;
+    }
+
+    get transform() {
+        return this._transform;
+    }
+
+    set transform(transform) {
+        this._transform = transform;
+
+        const { position, orientation } = transform;
+        this.object.position.set(position.x, position.y, position.z);
+        this.object.quaternion.set(
+            orientation.x,
+            orientation.y,
+            orientation.z,
+            orientation.w
+        );
+    }
+
+    /**
+     * Meshes fade through their materials, like a runtime with per-layer opacity would fade an XR layer
+     */
+    get opacity() {
+        return this._opacity;
+    }
+
+    set opacity(opacity) {
+        this._opacity = opacity;
+        (this.meshes || []).forEach(({ material }) => {
+            this.updateMaterialOpacity(material);
+        });
+    }
+
+    updateMaterialOpacity(material) {
+        const transparent = this._opacity < 1;
+
+        material.opacity = this._opacity;
+        if (material.transparent !== transparent) {
+            material.transparent = transparent;
+            material.needsUpdate = true;
+        }
+    }
+
+    /**
+     * Keeps a head-locked layer's `transform` relative to the viewer
+     */
+    setWorldOrientation(position, quaternion) {
+        this.object.position.copy(position);
+        this.object.quaternion.copy(quaternion);
+    }
+
+    /**
+     * Adds the layer's meshes to the scene, one for mono video or one per eye for stereo video
+     */
+    createMeshes(geometry) {
+        this.removeMeshes();
+        this.meshes = [];
+
+        const eyes = this.layout === "mono" ? ["none"] : ["left", "right"];
+
+        eyes.forEach((eye, index) => {
+            const eyeGeometry = geometry.clone();
+            this.mapEyeUVs(eyeGeometry, eye);
+
+            const material = new THREE.MeshBasicMaterial({
+                map: this.texture,
+                side: this.side,
+                depthWrite: this.depthWrite !== false,
+            });
+            this.updateMaterialOpacity(material);
+            const mesh = new THREE.Mesh(eyeGeometry, material);
+
+            if (this.renderOrder !== undefined) {
+                mesh.renderOrder = this.renderOrder;
+            }
+
+            if (eye !== "none") {
+                mesh.layers.set(index + 1);
+            }
+
+            this.meshes.push(mesh);
+            this.object.add(mesh);
+        });
+
+        geometry.dispose();
+        this.scene.add(this.object);
+    }
+
+    /**
+     * Remaps the UVs of a geometry to the half of the video frame an eye sees
+     */
+    mapEyeUVs(geometry, eye) {
+        const uvs = geometry.attributes.uv;
+
+        for (let i = 0; i < uvs.count; i++) {
+            let u = uvs.getX(i);
+            let v = uvs.getY(i);
+
+            if (this.flipU) {
+                u = 1 - u;
+            }
+
+            if (this.layout === "stereo-top-bottom") {
+                v = eye === "left" ? 0.5 + v / 2 : v / 2;
+            } else if (this.layout === "stereo-left-right") {
+                u = eye === "left" ? u / 2 : 0.5 + u / 2;
+            }
+
+            uvs.setXY(i, u, v);
+        }
+
+        uvs.needsUpdate = true;
+    }
+
+    /**
+     * Aspect ratio of what one eye sees of the video
+     */
+    get videoAspectRatio() {
+        return getVideoAspectRatio(this.video, this.layout) || 16 / 9;
+    }
+
+    /**
+     * Sets the order the meshes are drawn in, matching the composition order of XR layers
+     */
+    setRenderOrder(renderOrder) {
+        this.renderOrder = renderOrder;
+        this.meshes.forEach((mesh) => {
+            mesh.renderOrder = renderOrder;
+        });
+    }
+
+    removeMeshes() {
+        if (!this.meshes) {
+            return;
+        }
+
+        this.meshes.forEach((mesh) => {
+            this.object.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+        this.meshes = [];
+    }
+
+    destroy() {
+        if (this.object.parent) {
+            this.object.parent.remove(this.object);
+        }
+
+        this.removeMeshes();
+        this.texture.dispose();
+    }
+}
+
+class QuadMeshLayer extends MeshLayer {
+    constructor(video, scene, options = {}) {
+        super(video, scene, options);
+
+        this.side = THREE.FrontSide;
+
+        // Like XRMediaBinding, fill in a missing dimension from the video's aspect ratio
+        const { width, height } = options;
+        this._width = width !== undefined ? width : 1;
+        this._height =
+            height !== undefined ? height : this._width / this.videoAspectRatio;
+
+        if (width === undefined && height !== undefined) {
+            this._width = height * this.videoAspectRatio;
+        }
+
+        // Matches the size of the quad's GlassLayer
+        this.createMeshes(new THREE.PlaneGeometry(1, 1));
+        this.updateScale();
+    }
+
+    get width() {
+        return this._width;
+    }
+
+    set width(width) {
+        this._width = width;
+        this.updateScale();
+    }
+
+    get height() {
+        return this._height;
+    }
+
+    set height(height) {
+        this._height = height;
+        this.updateScale();
+    }
+
+    updateScale() {
+        if (this.meshes) {
+            this.meshes.forEach((mesh) =>
+                mesh.scale.set(2 * this._width, 2 * this._height, 1)
+            );
+        }
+    }
+}
+
+class CylinderMeshLayer extends MeshLayer {
+    constructor(video, scene, options = {}) {
+        super(video, scene, options);
+
+        // Seen from the inside, so the arc's UVs run the other way round
+        this.side = THREE.BackSide;
+        this.flipU = true;
+
+        const {
+            radius = 2,
+            centralAngle = Math.PI / 2,
+            aspectRatio = this.videoAspectRatio,
+        } = options;
+        this.radius = radius;
+        this.centralAngle = centralAngle;
+        this.aspectRatio = aspectRatio;
+
+        this.createMeshes(
+            new THREE.CylinderGeometry(
+                radius,
+                radius,
+                (radius * centralAngle) / aspectRatio,
+                64,
+                1,
+                true,
+                Math.PI - centralAngle / 2,
+                centralAngle
+            )
+        );
+    }
+}
+
+class EquirectMeshLayer extends MeshLayer {
+    constructor(video, scene, options = {}) {
+        super(video, scene, options);
+
+        this.side = THREE.FrontSide;
+
+        // Nothing in the projection layer should be hidden behind the backdrop
+        this.depthWrite = false;
+
+        // Same defaults as XREquirectLayer, a radius of 0 is infinitely far away
+        const {
+            radius = 0,
+            centralHorizontalAngle = 2 * Math.PI,
+            upperVerticalAngle = Math.PI / 2,
+            lowerVerticalAngle = -Math.PI / 2,
+        } = options;
+        this._radius = radius;
+        this._centralHorizontalAngle = centralHorizontalAngle;
+        this._upperVerticalAngle = upperVerticalAngle;
+        this._lowerVerticalAngle = lowerVerticalAngle;
+
+        this.createMeshes(this.createGeometry());
+    }
+
+    /**
+     * Inside-out part of a sphere, with the centre of the video straight ahead on -Z
+     */
+    createGeometry() {
+        const geometry = new THREE.SphereGeometry(
+            this._radius || 50,
+            64,
+            32,
+            Math.PI - this._centralHorizontalAngle / 2,
+            this._centralHorizontalAngle,
+            Math.PI / 2 - this._upperVerticalAngle,
+            this._upperVerticalAngle - this._lowerVerticalAngle
+        );
+        geometry.scale(-1, 1, 1);
+        geometry.rotateY(-Math.PI / 2);
+
+        return geometry;
+    }
+
+    get radius() {
+        return this._radius;
+    }
+
+    set radius(radius) {
+        this._radius = radius;
+        this.createMeshes(this.createGeometry());
+    }
+
+    get centralHorizontalAngle() {
+        return this._centralHorizontalAngle;
+    }
+
+    set centralHorizontalAngle(angle) {
+        this._centralHorizontalAngle = angle;
+        this.createMeshes(this.createGeometry());
+    }
+
+    get upperVerticalAngle() {
+        return this._upperVerticalAngle;
+    }
+
+    set upperVerticalAngle(angle) {
+        this._upperVerticalAngle = angle;
+        this.createMeshes(this.createGeometry());
+    }
+
+    get lowerVerticalAngle() {
+        return this._lowerVerticalAngle;
+    }
+
+    set lowerVerticalAngle(angle) {
+        this._lowerVerticalAngle = angle;
+        this.createMeshes(this.createGeometry());
+    }
+}
+
+export { MeshLayer, QuadMeshLayer, CylinderMeshLayer, EquirectMeshLayer };
@@ -0,0 +1,157 @@
+import { EventDispatcher } from "three";
+
+const REPEAT_MODES = ["none", "one", "all"];
+
+/**
+ * Ordered list of media for a MediaLayer, with shuffle and repeat modes
+ */
+class Playlist {
+    constructor(items, { shuffle = false, repeat = "none" } = {}) {
+        if (items.length === 0) {
+            throw new Error(
+                "Invalid playlist: a playlist needs at least one item"
+            );
+        }
+
+        this.items = items.map((item) =>
+            typeof item === "string" ? { src: item } : item
+        );
+
+        // Playing order, as indices into items
+        this.order = this.items.map((_item, index) => index);
+        this.position = 0;
+
+        this.shuffle = false;
+        this.setRepeat(repeat);
+        this.setShuffle(shuffle);
+    }
+
+    get index() {
+        return this.order[this.position];
+    }
+
+    get current() {
+        return this.items[this.index];
+    }
+
+    get hasNext() {
+        return this.repeat === "all" || this.position < this.order.length - 1;
+    }
+
+    get hasPrevious() {
+        return this.repeat === "all" || this.position > 0;
+    }
+
+    /**
+     * Moves to the next item, returns null when at the end and not repeating
+     */
+    next() {
+        if (this.position < this.order.length - 1) {
+            this.position++;
+        } else if (this.repeat === "all") {
+            if (this.shuffle) {
+                this.shuffleOrder();
+            }
+            this.position = 0;
+        } else {
+            return null;
+        }
+
+        this.dispatchItemChange();
+        return this.current;
+    }
+
+    /**
+     * Moves to the previous item, or restarts the first item when not repeating
+     */
+    previous() {
+        if (this.position > 0) {
+            this.position--;
+        } else if (this.repeat === "all") {
+            this.position = this.order.length - 1;
+        }
+
+        this.dispatchItemChange();
+        return this.current;
+    }
+
+    /**
+     * Plays the item at an index of the items, whatever the playing order
+     */
+    select(index) {
+        if (index < 0 || index >= this.items.length) {
+            throw new Error(
+                `Invalid playlist index: index must be between 0 and ${
+                    this.items.length - 1
+                }`
+            );
+        }
+
+        this.position = this.order.indexOf(index);
+
+        this.dispatchItemChange();
+        return this.current;
+    }
+
+    /**
+     * Called when the current item ends, to auto-advance
+     */
+    onEnded() {
+        if (this.repeat === "one") {
+            this.dispatchItemChange();
+        } else {
+            this.next();
+        }
+    }
+
+    setRepeat(repeat) {
+        if (!REPEAT_MODES.includes(repeat)) {
+            throw new Error(
+                `Invalid repeat mode: repeat mode must be one of "none" || "one" || "all"`
+            );
+        }
+
+        this.repeat = repeat;
+    }
+
+    /**
+     * Turns shuffle on or off, the current item keeps playing either way
+     */
+    setShuffle(shuffle) {
+        const index = this.index;
+
+        this.shuffle = shuffle;
+
+        if (shuffle) {
+            this.shuffleOrder(index);
+        } else {
+            this.order = this.items.map((_item, itemIndex) => itemIndex);
+            this.position = index;
+        }
+    }
+
+    /**
+     * Fisher-Yates shuffle of the playing order, optionally keeping one item first
+     */
+    shuffleOrder(firstIndex) {
+        const order = this.items
+            .map((_item, index) => index)
+            .filter((index) => index !== firstIndex);
+
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+
+        this.order = firstIndex === undefined ? order : [firstIndex, ...order];
+        this.position = 0;
+    }
+
+    dispatchItemChange() {
+        this.dispatchEvent({ type: "itemchange", item: this.current });
+    }
+}
+
+Object.assign(Playlist.prototype, EventDispatcher.prototype);
+
+export default Playlist;
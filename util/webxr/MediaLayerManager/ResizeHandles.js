@@ -0,0 +1,237 @@
+import * as THREE from "three";
+
+import getVideoAspectRatio from "./getVideoAspectRatio";
+
+// Corners and edge midpoints of the glass, as directions from its centre
+const HANDLES = [
+    { x: -1, y: 1 },
+    { x: 0, y: 1 },
+    { x: 1, y: 1 },
+    { x: 1, y: 0 },
+    { x: 1, y: -1 },
+    { x: 0, y: -1 },
+    { x: -1, y: -1 },
+    { x: -1, y: 0 },
+];
+
+// Handles sit just in front of the glass
+const OFFSET = 0.005;
+
+const HANDLE_COLOR = 0xffffff;
+const ACTIVE_HANDLE_COLOR = 0x4488ff;
+
+/**
+ * Corner and edge handles on the glass of a quad layer that resize it about its centre
+ */
+class ResizeHandles {
+    constructor(
+        glassLayer,
+        video,
+        {
+            lockAspectRatio = true,
+            minWidth = 0.2,
+            maxWidth = 4,
+            minHeight = 0.1,
+            maxHeight = 4,
+            handleSize = 0.06,
+        } = {}
+    ) {
+        this.glassLayer = glassLayer;
+        this.video = video;
+
+        this.lockAspectRatio = lockAspectRatio;
+        this.limits = { minWidth, maxWidth, minHeight, maxHeight };
+        this.handleSize = handleSize;
+
+        this.drag = null;
+
+        this.geometry = new THREE.PlaneGeometry(1, 1);
+        this.material = new THREE.MeshBasicMaterial({ color: HANDLE_COLOR });
+        this.activeMaterial = new THREE.MeshBasicMaterial({
+            color: ACTIVE_HANDLE_COLOR,
+        });
+
+        this.group = new THREE.Group();
+        this.handles = HANDLES.map(({ x, y }) => {
+            const mesh = new THREE.Mesh(this.geometry, this.material);
+            mesh.name = "resizeHandle";
+            this.group.add(mesh);
+
+            return { mesh, x, y };
+        });
+
+        this.glass.add(this.group);
+        this.layoutHandles();
+    }
+
+    get layer() {
+        return this.glassLayer.layer;
+    }
+
+    get glass() {
+        return this.glassLayer.object;
+    }
+
+    get objects() {
+        return this.handles.map(({ mesh }) => mesh);
+    }
+
+    get isResizing() {
+        return !!this.drag;
+    }
+
+    /**
+     * Aspect ratio the layer is held at, the video's once its metadata has loaded
+     */
+    get aspectRatio() {
+        return (
+            getVideoAspectRatio(this.video, this.layer.layout) ||
+            this.layer.width / this.layer.height
+        );
+    }
+
+    /**
+     * Starts resizing if the object hit by the controller is one of the handles
+     */
+    start(controller, object) {
+        const handle = this.handles.find(({ mesh }) => mesh === object);
+        const point = handle && this.getLocalPoint(controller);
+
+        if (!point) {
+            return false;
+        }
+
+        this.drag = {
+            controller,
+            handle,
+            width: this.layer.width,
+            height: this.layer.height,
+            x: Math.abs(point.x),
+            y: Math.abs(point.y),
+        };
+        handle.mesh.material = this.activeMaterial;
+
+        return true;
+    }
+
+    end(controller) {
+        if (!this.drag || this.drag.controller !== controller) {
+            return;
+        }
+
+        this.drag.handle.mesh.material = this.material;
+        this.drag = null;
+    }
+
+    update() {
+        if (this.drag) {
+            this.resize();
+            this.glassLayer.updateDimensions(this.layer);
+        }
+
+        this.layoutHandles();
+    }
+
+    /**
+     * Sizes the layer so the dragged handle follows the point the controller is aiming at on the glass plane
+     */
+    resize() {
+        const { controller, handle } = this.drag;
+        const point = this.getLocalPoint(controller);
+
+        if (!point) {
+            return;
+        }
+
+        let width = handle.x
+            ? this.drag.width + Math.abs(point.x) - this.drag.x
+            : this.drag.width;
+        let height = handle.y
+            ? this.drag.height + Math.abs(point.y) - this.drag.y
+            : this.drag.height;
+
+        const { minWidth, maxWidth, minHeight, maxHeight } = this.limits;
+
+        if (this.lockAspectRatio) {
+            const aspectRatio = this.aspectRatio;
+
+            // Corners follow whichever edge was dragged further
+            const followsWidth =
+                handle.y === 0 ||
+                (handle.x !== 0 &&
+                    Math.abs(width - this.drag.width) >=
+                        Math.abs(height - this.drag.height) * aspectRatio);
+
+            width = followsWidth ? width : height * aspectRatio;
+            width = THREE.MathUtils.clamp(
+                width,
+                Math.max(minWidth, minHeight * aspectRatio),
+                Math.min(maxWidth, maxHeight * aspectRatio)
+            );
+            height = width / aspectRatio;
+        } else {
+            width = THREE.MathUtils.clamp(width, minWidth, maxWidth);
+            height = THREE.MathUtils.clamp(height, minHeight, maxHeight);
+        }
+
+        this.layer.width = width;
+        this.layer.height = height;
+    }
+
+    /**
+     * Where the controller's ray meets the plane of the glass, relative to the glass and unscaled
+     */
+    getLocalPoint(controller) {
+        const origin = new THREE.Vector3().setFromMatrixPosition(
+            controller.matrixWorld
+        );
+        const direction = new THREE.Vector3(0, 0, -1).transformDirection(
+            controller.matrixWorld
+        );
+
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        this.glass.getWorldPosition(position);
+        this.glass.getWorldQuaternion(quaternion);
+        quaternion.invert();
+
+        origin.sub(position).applyQuaternion(quaternion);
+        direction.applyQuaternion(quaternion);
+
+        const distance = -origin.z / direction.z;
+
+        if (!Number.isFinite(distance) || distance < 0) {
+            return null;
+        }
+
+        return origin.addScaledVector(direction, distance);
+    }
+
+    /**
+     * Keeps the handles on the corners and edges at the same size, whatever the scale of the glass
+     */
+    layoutHandles() {
+        const { x: scaleX, y: scaleY } = this.glass.scale;
+        const size = this.handleSize;
+
+        this.handles.forEach(({ mesh, x, y }) => {
+            const width = x === 0 ? 3 * size : y === 0 ? size / 2 : size;
+            const height = y === 0 ? 3 * size : x === 0 ? size / 2 : size;
+
+            mesh.position.set(x / 2, y / 2, OFFSET);
+            mesh.scale.set(width / scaleX, height / scaleY, 1);
+        });
+    }
+
+    destroy() {
+        if (this.group.parent) {
+            this.group.parent.remove(this.group);
+        }
+
+        this.geometry.dispose();
+        this.material.dispose();
+        this.activeMaterial.dispose();
+    }
+}
+
+export default ResizeHandles;
@@ -0,0 +1,197 @@
+import { Euler, MathUtils, Quaternion } from "three";
+
+import { validateScene } from "./sceneSchema";
+
+// Toolbar panel of layers that don't give a uiConfig
+const DEFAULT_UI_CONFIG = {
+    panelWidth: 1,
+    panelHeight: 0.2,
+    height: 128,
+    position: { x: 0, y: 0, z: 0 },
+};
+
+/**
+ * Builds the media layers of a JSON scene description, see sceneSchema for the format
+ */
+class SceneLoader {
+    constructor(manager) {
+        this.manager = manager;
+    }
+
+    /**
+     * Throws an error listing every problem with a scene description
+     */
+    static validate(scene) {
+        validateScene(scene);
+    }
+
+    static async fetchScene(url) {
+        const response = await fetch(url);
+
+        if (!response.ok) {
+            throw new Error(
+                `Invalid scene: ${url} couldn't be loaded, ${response.status} ${response.statusText}`
+            );
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new Error(
+                `Invalid scene: ${url} isn't valid JSON, ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Validates a scene, or the scene at a URL, and creates its layers
+     */
+    async load(scene) {
+        if (typeof scene === "string") {
+            scene = await SceneLoader.fetchScene(scene);
+        }
+
+        validateScene(scene);
+
+        const mediaLayers = new Map();
+
+        for (const description of scene.layers) {
+            mediaLayers.set(
+                description.id,
+                await this.createMediaLayer(description)
+            );
+        }
+
+        this.stackLayers(scene.layers, mediaLayers);
+
+        const skybox = scene.skybox
+            ? await this.createSkybox(scene.skybox)
+            : null;
+
+        scene.layers.forEach(({ id, playlist, autoplay = true }) => {
+            // Playlists start playing by themselves
+            if (autoplay && !playlist) {
+                mediaLayers
+                    .get(id)
+                    .video.play()
+                    .catch((error) =>
+                        console.warn(
+                            `SceneLoader: layer "${id}" couldn't start playing, ${error}`
+                        )
+                    );
+            }
+        });
+
+        return { mediaLayers, skybox };
+    }
+
+    async createMediaLayer({
+        src,
+        layerType,
+        options = {},
+        transform,
+        uiConfig = DEFAULT_UI_CONFIG,
+        toolbarGroupConfig,
+        subtitles = [],
+        playlist,
+        stream,
+        loop = true,
+        muted = false,
+    }) {
+        // Without a src, the layer starts out as the first item of its playlist
+        const first = src === undefined ? playlist.items[0] : {};
+        const video = SceneLoader.createVideo({ loop, muted });
+
+        await this.manager.loadSource(
+            video,
+            src === undefined ? first.src : src,
+            src === undefined ? first.stream : stream
+        );
+
+        const mediaLayer = await this.manager.createMediaLayer(
+            video,
+            layerType || first.layerType || "AUTO_LAYER",
+            {
+                ...first.options,
+                ...options,
+                ...(transform && {
+                    transform: SceneLoader.createTransform(transform),
+                }),
+            },
+            uiConfig,
+            toolbarGroupConfig
+        );
+
+        subtitles.forEach(({ src: trackSrc, ...trackOptions }) => {
+            mediaLayer.addTextTrack(trackSrc, trackOptions);
+        });
+
+        if (subtitles.length > 0 && this.manager.scene) {
+            this.manager.scene.add(mediaLayer.subtitlesGroup);
+        }
+
+        if (playlist) {
+            const { items, ...playlistOptions } = playlist;
+            this.manager.setPlaylist(mediaLayer, items, playlistOptions);
+        }
+
+        return mediaLayer;
+    }
+
+    static createVideo({ loop, muted }) {
+        const video = document.createElement("video");
+        video.loop = loop;
+        video.muted = muted;
+        video.crossOrigin = "anonymous";
+        video.preload = "auto";
+        video.playsInline = true;
+
+        return video;
+    }
+
+    static createTransform({ position, orientation, rotation }) {
+        if (rotation) {
+            const { yaw = 0, pitch = 0, roll = 0 } = rotation;
+            const quaternion = new Quaternion().setFromEuler(
+                new Euler(
+                    MathUtils.degToRad(pitch),
+                    MathUtils.degToRad(yaw),
+                    MathUtils.degToRad(roll),
+                    "YXZ"
+                )
+            );
+            const { x, y, z, w } = quaternion;
+            orientation = { x, y, z, w };
+        }
+
+        return new XRRigidTransform(position, orientation);
+    }
+
+    /**
+     * Stacks the layers by `order`, lowest at the back, keeping the listed order between equal ones
+     */
+    stackLayers(descriptions, mediaLayers) {
+        descriptions
+            .map(({ id, order = 0 }, index) => ({ id, order, index }))
+            .sort((a, b) => a.order - b.order || a.index - b.index)
+            .forEach(({ id }) =>
+                this.manager.bringToFront(mediaLayers.get(id))
+            );
+    }
+
+    /**
+     * A skybox needs WebXR Layers support, the rest of the scene is still shown without it
+     */
+    async createSkybox({ source, options }) {
+        try {
+            return await this.manager.createCubeLayer(source, options);
+        } catch (error) {
+            console.warn(
+                `SceneLoader: the skybox couldn't be created, ${error}`
+            );
+            return null;
+        }
+    }
+}
+
+export default SceneLoader;
@@ -0,0 +1,252 @@
+import { Quaternion, Vector3 } from "three";
+
+import { isCylinderLayer } from "./layerTypes";
+
+const DISTANCE_MODELS = ["linear", "inverse", "exponential"];
+
+let audioContext = null;
+
+// A media element can only ever have one source node, so they are kept for reuse
+const sources = new WeakMap();
+
+// Frame the shared listener was last moved on, so it's moved once per frame whatever the number of layers
+let listenerFrame = null;
+
+const position = new Vector3();
+const quaternion = new Quaternion();
+const forward = new Vector3();
+const up = new Vector3();
+
+/**
+ * Sets an AudioParam triple such as positionX/Y/Z, or calls setPosition and setOrientation
+ */
+function setVector(node, name, { x, y, z }) {
+    if (node[`${name}X`]) {
+        node[`${name}X`].value = x;
+        node[`${name}Y`].value = y;
+        node[`${name}Z`].value = z;
+    } else if (name === "position") {
+        node.setPosition(x, y, z);
+    } else {
+        node.setOrientation(x, y, z);
+    }
+}
+
+/**
+ * Plays a video's audio from where its layer is, through a PannerNode
+ */
+class SpatialAudio {
+    constructor(
+        layer,
+        renderer,
+        video,
+        {
+            distanceModel = "inverse",
+            refDistance = 1,
+            maxDistance = 10000,
+            rolloffFactor = 1,
+            isSpatial = true,
+        } = {}
+    ) {
+        this.layer = layer;
+        this.renderer = renderer;
+        this.video = video;
+
+        this.context = SpatialAudio.getContext();
+        this.source = SpatialAudio.getSource(video);
+
+        this.panner = this.context.createPanner();
+        this.panner.panningModel = "HRTF";
+        this.setDistanceModel({
+            distanceModel,
+            refDistance,
+            maxDistance,
+            rolloffFactor,
+        });
+
+        this.isSpatial = null;
+        this.setSpatial(isSpatial);
+
+        this.stopResuming = SpatialAudio.keepResumed(video, renderer);
+    }
+
+    /**
+     * Audio context shared by all media layers, created on first use
+     */
+    static getContext() {
+        if (!audioContext) {
+            audioContext = new (window.AudioContext ||
+                window.webkitAudioContext)();
+        }
+
+        return audioContext;
+    }
+
+    /**
+     * Resumes the audio context on the next user gesture, returns a function that stops listening
+     */
+    static keepResumed(video, renderer) {
+        const context = SpatialAudio.getContext();
+        const session = renderer.xr.getSession();
+        const resume = () => {
+            if (context.state === "suspended") {
+                context.resume();
+            }
+        };
+
+        video.addEventListener("play", resume);
+        if (session) {
+            session.addEventListener("select", resume);
+        }
+        resume();
+
+        return () => {
+            video.removeEventListener("play", resume);
+            if (session) {
+                session.removeEventListener("select", resume);
+            }
+        };
+    }
+
+    static getSource(video) {
+        if (!sources.has(video)) {
+            sources.set(
+                video,
+                SpatialAudio.getContext().createMediaElementSource(video)
+            );
+        }
+
+        return sources.get(video);
+    }
+
+    /**
+     * Updates any of distanceModel, refDistance, maxDistance and rolloffFactor of the panner
+     */
+    setDistanceModel({
+        distanceModel,
+        refDistance,
+        maxDistance,
+        rolloffFactor,
+    }) {
+        if (
+            distanceModel !== undefined &&
+            !DISTANCE_MODELS.includes(distanceModel)
+        ) {
+            throw new Error(
+                `Invalid distance model: distance model must be one of "linear" || "inverse" || "exponential"`
+            );
+        }
+
+        Object.entries({
+            distanceModel,
+            refDistance,
+            maxDistance,
+            rolloffFactor,
+        }).forEach(([property, value]) => {
+            if (value !== undefined) {
+                this.panner[property] = value;
+            }
+        });
+    }
+
+    /**
+     * Routes the audio through the panner, or straight out as the video's own stereo
+     */
+    setSpatial(isSpatial) {
+        if (isSpatial === this.isSpatial) {
+            return;
+        }
+
+        this.isSpatial = isSpatial;
+        this.source.disconnect();
+        this.panner.disconnect();
+
+        if (isSpatial) {
+            this.source.connect(this.panner);
+            this.panner.connect(this.context.destination);
+        } else {
+            this.source.connect(this.context.destination);
+        }
+    }
+
+    update() {
+        if (!this.isSpatial) {
+            return;
+        }
+
+        SpatialAudio.updateListener(this.renderer);
+        this.updatePanner();
+    }
+
+    /**
+     * Puts the panner where the layer is, facing the way the layer faces
+     */
+    updatePanner() {
+        const { transform } = this.layer;
+
+        position.copy(transform.position);
+        quaternion.copy(transform.orientation);
+
+        if (isCylinderLayer(this.layer)) {
+            // The transform is the centre of the cylinder, the sound comes from the middle of the arc
+            position.add(
+                new Vector3(0, 0, -this.layer.radius).applyQuaternion(
+                    quaternion
+                )
+            );
+        }
+
+        // Layers face +Z
+        forward.set(0, 0, 1).applyQuaternion(quaternion);
+
+        setVector(this.panner, "position", position);
+        setVector(this.panner, "orientation", forward);
+    }
+
+    /**
+     * Moves the shared listener to the viewer, and returns the viewer pose
+     */
+    static updateListener(renderer) {
+        const frame = renderer.xr.getFrame();
+        const pose = renderer.xr.getViewerPose();
+
+        if (!pose || frame === listenerFrame) {
+            return pose;
+        }
+
+        listenerFrame = frame;
+
+        const { listener } = SpatialAudio.getContext();
+        quaternion.copy(pose.transform.orientation);
+        forward.set(0, 0, -1).applyQuaternion(quaternion);
+        up.set(0, 1, 0).applyQuaternion(quaternion);
+
+        setVector(listener, "position", pose.transform.position);
+
+        if (listener.forwardX) {
+            setVector(listener, "forward", forward);
+            setVector(listener, "up", up);
+        } else {
+            listener.setOrientation(
+                forward.x,
+                forward.y,
+                forward.z,
+                up.x,
+                up.y,
+                up.z
+            );
+        }
+
+        return pose;
+    }
+
+    /**
+     * Disconnects the panner, the video's source node stays connected straight out
+     */
+    destroy() {
+        this.stopResuming();
+        this.setSpatial(false);
+    }
+}
+
+export default SpatialAudio;
@@ -0,0 +1,112 @@
+import { Matrix4, Quaternion, Vector3 } from "three";
+
+const UP = new Vector3(0, 1, 0);
+const ORIGIN = new Vector3();
+
+export const ARRANGEMENTS = ["arc", "grid", "side-by-side", "stacked"];
+
+/**
+ * Quads on a horizontal arc of `radius` metres around the viewer, left to right
+ */
+function getArcPositions(sizes, { radius = 2.5, gap = 0.1 }) {
+    // Arc length of each quad and the gap after it, as an angle
+    const angles = sizes.map(({ width }) => (width + gap) / radius);
+    let angle = angles.reduce((total, step) => total + step, 0) / 2;
+
+    return angles.map((step) => {
+        const position = new Vector3(0, 0, -radius).applyAxisAngle(
+            UP,
+            angle - step / 2
+        );
+        angle -= step;
+
+        return position;
+    });
+}
+
+/**
+ * Quads on a flat wall `distance` metres away, in rows of `columns`, each in a cell the size of the largest quad
+ */
+function getGridPositions(
+    sizes,
+    { distance = 3, gap = 0.1, columns = Math.ceil(Math.sqrt(sizes.length)) }
+) {
+    const rows = Math.ceil(sizes.length / columns);
+    const cellWidth = Math.max(...sizes.map(({ width }) => width)) + gap;
+    const cellHeight = Math.max(...sizes.map(({ height }) => height)) + gap;
+
+    return sizes.map((size, index) => {
+        const column = index % columns;
+        const row = Math.floor(index / columns);
+
+        return new Vector3(
+            (column - (columns - 1) / 2) * cellWidth,
+            ((rows - 1) / 2 - row) * cellHeight,
+            -distance
+        );
+    });
+}
+
+/**
+ * Quads in a row `distance` metres away, edge to edge with a `gap` between them, for comparing videos
+ */
+function getSideBySidePositions(sizes, { distance = 2, gap = 0.05 }) {
+    const totalWidth =
+        sizes.reduce((total, { width }) => total + width, 0) +
+        gap * (sizes.length - 1);
+    let left = -totalWidth / 2;
+
+    return sizes.map(({ width }) => {
+        const position = new Vector3(left + width / 2, 0, -distance);
+        left += width + gap;
+
+        return position;
+    });
+}
+
+/**
+ * Quads stacked top to bottom `distance` metres away, like monitors on a stand
+ */
+function getStackedPositions(sizes, { distance = 2, gap = 0.05 }) {
+    const totalHeight =
+        sizes.reduce((total, { height }) => total + height, 0) +
+        gap * (sizes.length - 1);
+    let top = totalHeight / 2;
+
+    return sizes.map(({ height }) => {
+        const position = new Vector3(0, top - height / 2, -distance);
+        top -= height + gap;
+
+        return position;
+    });
+}
+
+const POSITIONS = {
+    arc: getArcPositions,
+    grid: getGridPositions,
+    "side-by-side": getSideBySidePositions,
+    stacked: getStackedPositions,
+};
+
+/**
+ * Poses of quads in a named arrangement, relative to the viewer's eyes looking down -Z
+ */
+export function getArrangement(arrangement, sizes, options = {}) {
+    const getPositions = POSITIONS[arrangement];
+
+    if (!getPositions) {
+        throw new Error(
+            `Invalid arrangement: arrangement must be one of "arc" || "grid" || "side-by-side" || "stacked"`
+        );
+    }
+
+    const matrix = new Matrix4();
+
+    return getPositions(sizes, options).map((position) => ({
+        position,
+        // Quads face +Z, so +Z has to point from the quad back to the viewer
+        quaternion: new Quaternion().setFromRotationMatrix(
+            matrix.lookAt(ORIGIN, position, UP)
+        ),
+    }));
+}
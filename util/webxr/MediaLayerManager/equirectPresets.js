@@ -0,0 +1,63 @@
+/**
+ * Equirect layer geometry for common kinds of spherical video, a radius of 0 is infinitely far
+ */
+const EQUIRECT_PRESETS = {
+    360: {
+        radius: 0,
+        centralHorizontalAngle: 2 * Math.PI,
+        upperVerticalAngle: Math.PI / 2,
+        lowerVerticalAngle: -Math.PI / 2,
+    },
+    180: {
+        radius: 0,
+        centralHorizontalAngle: Math.PI,
+        upperVerticalAngle: Math.PI / 2,
+        lowerVerticalAngle: -Math.PI / 2,
+    },
+    // VR180 video is side by side stereo
+    "3D-180": {
+        radius: 0,
+        centralHorizontalAngle: Math.PI,
+        upperVerticalAngle: Math.PI / 2,
+        lowerVerticalAngle: -Math.PI / 2,
+        layout: "stereo-left-right",
+    },
+};
+
+export const EQUIRECT_GEOMETRY_PROPERTIES = [
+    "radius",
+    "centralHorizontalAngle",
+    "upperVerticalAngle",
+    "lowerVerticalAngle",
+];
+
+/**
+ * Gets the equirect layer options of a preset
+ */
+export function getEquirectPreset(preset, fov) {
+    if (preset === "custom") {
+        if (
+            !fov ||
+            fov.horizontal === undefined ||
+            fov.vertical === undefined
+        ) {
+            throw new Error(
+                `Invalid field of view: the "custom" preset needs { horizontal, vertical } angles`
+            );
+        }
+
+        return {
+            centralHorizontalAngle: fov.horizontal,
+            upperVerticalAngle: fov.vertical / 2,
+            lowerVerticalAngle: -fov.vertical / 2,
+        };
+    }
+
+    if (!(preset in EQUIRECT_PRESETS)) {
+        throw new Error(
+            `Invalid equirect preset: preset must be one of "360" || "180" || "3D-180" || "custom"`
+        );
+    }
+
+    return { ...EQUIRECT_PRESETS[preset] };
+}
@@ -0,0 +1,20 @@
+/**
+ * Aspect ratio of what one eye sees of a video, or null until its metadata has loaded
+ */
+export default function getVideoAspectRatio(video, layout = "mono") {
+    const { videoWidth, videoHeight } = video;
+
+    if (!videoWidth || !videoHeight) {
+        return null;
+    }
+
+    if (layout === "stereo-top-bottom") {
+        return (2 * videoWidth) / videoHeight;
+    }
+
+    if (layout === "stereo-left-right") {
+        return videoWidth / (2 * videoHeight);
+    }
+
+    return videoWidth / videoHeight;
+}
@@ -1,6 +1,17 @@
 import MediaLayerManager from "./MediaLayerManager";
 import GlassLayer from "./GlassLayer";
 import MediaLayer from "./MediaLayer";
+import CubeLayer from "./CubeLayer";
+import Playlist from "./Playlist";
+import AdaptiveStream from "./AdaptiveStream";
+import SceneLoader from "./SceneLoader";
 
-export { GlassLayer, MediaLayer };
+export {
+    GlassLayer,
+    MediaLayer,
+    CubeLayer,
+    Playlist,
+    AdaptiveStream,
+    SceneLoader,
+};
 export default MediaLayerManager;
@@ -0,0 +1,32 @@
+import {
+    QuadMeshLayer,
+    CylinderMeshLayer,
+    EquirectMeshLayer,
+} from "./MeshLayer";
+
+/**
+ * Layer type checks that also work when the browser doesn't define the WebXR Layers classes
+ */
+
+export function isQuadLayer(layer) {
+    return (
+        layer instanceof QuadMeshLayer ||
+        (typeof XRQuadLayer !== "undefined" && layer instanceof XRQuadLayer)
+    );
+}
+
+export function isCylinderLayer(layer) {
+    return (
+        layer instanceof CylinderMeshLayer ||
+        (typeof XRCylinderLayer !== "undefined" &&
+            layer instanceof XRCylinderLayer)
+    );
+}
+
+export function isEquirectLayer(layer) {
+    return (
+        layer instanceof EquirectMeshLayer ||
+        (typeof XREquirectLayer !== "undefined" &&
+            layer instanceof XREquirectLayer)
+    );
+}
@@ -0,0 +1,19 @@
+/**
+ * Resolves with the session's next frame, or null if the session has ended
+ */
+export default function nextFrame(session, renderer) {
+    return new Promise((resolve) => {
+        if (!renderer.xr.isPresenting) {
+            resolve(null);
+            return;
+        }
+
+        const onEnd = () => resolve(null);
+
+        session.addEventListener("end", onEnd, { once: true });
+        session.requestAnimationFrame((time, frame) => {
+            session.removeEventListener("end", onEnd);
+            resolve(frame);
+        });
+    });
+}
@@ -0,0 +1,64 @@
+import getVideoAspectRatio from "./getVideoAspectRatio";
+
+// Layer width of a quad when no size is asked for, the same as QuadMeshLayer's
+const DEFAULT_WIDTH = 1;
+
+/**
+ * Size of a quad in layer units, which are half of its drawn size
+ */
+function getTargetSize({ width, height, size, angularSize }) {
+    if (angularSize) {
+        const { distance } = angularSize;
+
+        return {
+            width: toHalfExtent(angularSize.width, distance),
+            height: toHalfExtent(angularSize.height, distance),
+        };
+    }
+
+    if (size) {
+        return {
+            width: size.width !== undefined ? size.width / 2 : undefined,
+            height: size.height !== undefined ? size.height / 2 : undefined,
+        };
+    }
+
+    return { width, height };
+}
+
+/**
+ * Half of the size spanned by an angle at a distance
+ */
+function toHalfExtent(angle, distance) {
+    if (angle === undefined) {
+        return undefined;
+    }
+
+    if (!(angle > 0 && angle < Math.PI)) {
+        throw new Error(
+            "Invalid angular size: angles must be between 0 and Math.PI radians"
+        );
+    }
+
+    return distance * Math.tan(angle / 2);
+}
+
+/**
+ * Width and height of a quad layer that keep the aspect ratio of its video
+ */
+export default function getQuadSize(video, { layout, ...options }) {
+    const aspectRatio = getVideoAspectRatio(video, layout) || 16 / 9;
+    let { width, height } = getTargetSize(options);
+
+    if (width === undefined && height === undefined) {
+        width = DEFAULT_WIDTH;
+    }
+
+    if (width === undefined) {
+        width = height * aspectRatio;
+    } else if (height !== undefined) {
+        width = Math.min(width, height * aspectRatio);
+    }
+
+    return { width, height: width / aspectRatio };
+}
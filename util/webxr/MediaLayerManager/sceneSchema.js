@@ -0,0 +1,295 @@
+/**
+ * Schema of the JSON scene descriptions read by SceneLoader, and a small validator for it
+ */
+
+const NUMBER = { type: "number" };
+const STRING = { type: "string" };
+const BOOLEAN = { type: "boolean" };
+
+const VECTOR3 = {
+    type: "object",
+    properties: { x: NUMBER, y: NUMBER, z: NUMBER },
+    required: ["x", "y", "z"],
+};
+
+const QUATERNION = {
+    type: "object",
+    properties: { x: NUMBER, y: NUMBER, z: NUMBER, w: NUMBER },
+    required: ["x", "y", "z", "w"],
+};
+
+// Yaw, pitch and roll in degrees, easier to write by hand than a quaternion
+const ROTATION = {
+    type: "object",
+    properties: { yaw: NUMBER, pitch: NUMBER, roll: NUMBER },
+};
+
+const TRANSFORM = {
+    type: "object",
+    properties: {
+        position: VECTOR3,
+        orientation: QUATERNION,
+        rotation: ROTATION,
+    },
+    required: ["position"],
+    exclusive: ["orientation", "rotation"],
+};
+
+const LAYER_TYPES = [
+    "AUTO_LAYER",
+    "QUAD_LAYER",
+    "CYLINDER_LAYER",
+    "EQUIRECT_LAYER",
+];
+
+// Options of MediaLayerManager.createMediaLayer, others are passed through as they are
+const LAYER_OPTIONS = {
+    type: "object",
+    properties: {
+        space: STRING,
+        layout: {
+            type: "string",
+            enum: ["mono", "stereo-left-right", "stereo-top-bottom"],
+        },
+        preset: STRING,
+        width: NUMBER,
+        height: NUMBER,
+        radius: NUMBER,
+        centralAngle: NUMBER,
+        aspectRatio: NUMBER,
+        persist: BOOLEAN,
+        size: {
+            type: "object",
+            properties: { width: NUMBER, height: NUMBER },
+        },
+        angularSize: {
+            type: "object",
+            properties: { width: NUMBER, height: NUMBER, distance: NUMBER },
+        },
+    },
+    additionalProperties: true,
+};
+
+const UI_CONFIG = {
+    type: "object",
+    properties: {
+        panelWidth: NUMBER,
+        panelHeight: NUMBER,
+        width: NUMBER,
+        height: NUMBER,
+        useQuadLayer: BOOLEAN,
+        position: VECTOR3,
+    },
+    required: ["panelWidth", "panelHeight"],
+    additionalProperties: true,
+};
+
+const TOOLBAR_GROUP_CONFIG = {
+    type: "object",
+    properties: {
+        rotateXAngle: NUMBER,
+        position: VECTOR3,
+    },
+    required: ["rotateXAngle", "position"],
+};
+
+const SUBTITLES = {
+    type: "array",
+    items: {
+        type: "object",
+        properties: {
+            src: STRING,
+            label: STRING,
+            language: STRING,
+            kind: { type: "string", enum: ["subtitles", "captions"] },
+            isDefault: BOOLEAN,
+        },
+        required: ["src"],
+    },
+};
+
+const PLAYLIST_ITEM = {
+    type: "object",
+    properties: {
+        src: STRING,
+        layerType: { type: "string", enum: LAYER_TYPES },
+        options: LAYER_OPTIONS,
+        stream: { type: "object", additionalProperties: true },
+    },
+    required: ["src"],
+};
+
+const PLAYLIST = {
+    type: "object",
+    properties: {
+        items: { type: "array", items: PLAYLIST_ITEM, minItems: 1 },
+        shuffle: BOOLEAN,
+        repeat: { type: "string", enum: ["none", "one", "all"] },
+    },
+    required: ["items"],
+};
+
+const MEDIA_LAYER = {
+    type: "object",
+    properties: {
+        id: STRING,
+        src: STRING,
+        layerType: { type: "string", enum: LAYER_TYPES },
+        options: LAYER_OPTIONS,
+        transform: TRANSFORM,
+        uiConfig: UI_CONFIG,
+        toolbarGroupConfig: TOOLBAR_GROUP_CONFIG,
+        subtitles: SUBTITLES,
+        playlist: PLAYLIST,
+        stream: { type: "object", additionalProperties: true },
+        order: NUMBER,
+        loop: BOOLEAN,
+        muted: BOOLEAN,
+        autoplay: BOOLEAN,
+    },
+    // A layer with a playlist can leave out src, to start with the first item
+    required: ["id"],
+};
+
+const SKYBOX = {
+    type: "object",
+    properties: {
+        // A horizontal cross image, six face images, or { left, right } with one of those per eye
+        source: { type: ["string", "array", "object"] },
+        options: { type: "object", additionalProperties: true },
+    },
+    required: ["source"],
+};
+
+export const SCENE_SCHEMA = {
+    type: "object",
+    properties: {
+        layers: { type: "array", items: MEDIA_LAYER, minItems: 1 },
+        skybox: SKYBOX,
+    },
+    required: ["layers"],
+};
+
+function getType(value) {
+    if (Array.isArray(value)) {
+        return "array";
+    }
+
+    return value === null ? "null" : typeof value;
+}
+
+function withArticle(type) {
+    return `${/^[aeiou]/.test(type) ? "an" : "a"} ${type}`;
+}
+
+function describe(value) {
+    const type = getType(value);
+
+    return type === "object" || type === "array"
+        ? withArticle(type)
+        : JSON.stringify(value);
+}
+
+function validateObject(value, schema, path, errors) {
+    const { properties = {}, required = [], exclusive = [] } = schema;
+
+    required.forEach((property) => {
+        if (value[property] === undefined) {
+            errors.push(`${path}.${property} is required`);
+        }
+    });
+
+    const given = exclusive.filter((property) => value[property] !== undefined);
+    if (given.length > 1) {
+        errors.push(`${path} can't have both ${given.join(" and ")}`);
+    }
+
+    Object.keys(value).forEach((property) => {
+        if (properties[property]) {
+            validate(
+                value[property],
+                properties[property],
+                `${path}.${property}`,
+                errors
+            );
+        } else if (!schema.additionalProperties) {
+            errors.push(
+                `${path}.${property} is not a known property, expected one of ${Object.keys(
+                    properties
+                ).join(", ")}`
+            );
+        }
+    });
+}
+
+function validate(value, schema, path, errors) {
+    const types = [].concat(schema.type);
+    const type = getType(value);
+
+    if (!types.includes(type)) {
+        errors.push(
+            `${path} should be ${types
+                .map(withArticle)
+                .join(" or ")}, got ${describe(value)}`
+        );
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(
+            `${path} should be one of ${schema.enum
+                .map((option) => JSON.stringify(option))
+                .join(" || ")}, got ${describe(value)}`
+        );
+    }
+
+    if (type === "object" && schema.properties) {
+        validateObject(value, schema, path, errors);
+    }
+
+    if (type === "array") {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push(
+                `${path} should have at least ${schema.minItems} item(s)`
+            );
+        }
+
+        if (schema.items) {
+            value.forEach((item, index) =>
+                validate(item, schema.items, `${path}[${index}]`, errors)
+            );
+        }
+    }
+}
+
+/**
+ * Checks a scene description, throwing an error that lists every problem by its path
+ */
+export function validateScene(scene) {
+    const errors = [];
+
+    validate(scene, SCENE_SCHEMA, "scene", errors);
+
+    if (errors.length === 0) {
+        const ids = new Set();
+
+        scene.layers.forEach(({ id, src, playlist }, index) => {
+            if (src === undefined && playlist === undefined) {
+                errors.push(
+                    `scene.layers[${index}] needs a src or a playlist to play`
+                );
+            }
+
+            if (ids.has(id)) {
+                errors.push(
+                    `scene.layers[${index}].id "${id}" is used by another layer`
+                );
+            }
+            ids.add(id);
+        });
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid scene:\n  ${errors.join("\n  ")}`);
+    }
+}
@@ -0,0 +1,389 @@
+/**
+ * Reads Spherical Video V2 metadata from the moov box of an MP4
+ */
+
+import waitForMetadata from "./waitForMetadata";
+
+// Give up if moov isn't within this many top level boxes, it's never far from the start or end
+const MAX_TOP_LEVEL_BOXES = 16;
+
+// Bytes of a visual sample entry (avc1, hvc1...) before its child boxes, after the box header
+const VISUAL_SAMPLE_ENTRY_SIZE = 78;
+
+const STEREO_MODES = ["mono", "stereo-top-bottom", "stereo-left-right"];
+
+function readType(view, offset) {
+    let type = "";
+    for (let i = 0; i < 4; i++) {
+        type += String.fromCharCode(view.getUint8(offset + i));
+    }
+
+    return type;
+}
+
+function readBoxHeader(view, offset) {
+    let size = view.getUint32(offset);
+    const type = readType(view, offset + 4);
+    let headerSize = 8;
+
+    if (size === 1) {
+        // 64 bit size, too big for an int but safe as a double for any real file
+        size =
+            view.getUint32(offset + 8) * 2 ** 32 + view.getUint32(offset + 12);
+        headerSize = 16;
+    } else if (size === 0) {
+        // Box extends to the end of the file
+        size = view.byteLength - offset;
+    }
+
+    return { type, size, headerSize };
+}
+
+/**
+ * Lists the child boxes between two offsets, with the offsets of their headers and contents
+ */
+function readBoxes(view, start, end) {
+    const boxes = [];
+    let offset = start;
+
+    while (offset + 8 <= end) {
+        const { type, size, headerSize } = readBoxHeader(view, offset);
+
+        if (size < headerSize || offset + size > end) {
+            break;
+        }
+
+        boxes.push({
+            type,
+            offset,
+            start: offset + headerSize,
+            end: offset + size,
+        });
+        offset += size;
+    }
+
+    return boxes;
+}
+
+function findBox(view, { start, end }, type) {
+    return readBoxes(view, start, end).find((box) => box.type === type);
+}
+
+/**
+ * Follows a path of box types, such as ["mdia", "minf", "stbl"]
+ */
+function findPath(view, box, path) {
+    return path.reduce(
+        (parent, type) => parent && findBox(view, parent, type),
+        box
+    );
+}
+
+/**
+ * Reads a 0.32 fixed point number
+ */
+function readFraction(view, offset) {
+    return view.getUint32(offset) / 2 ** 32;
+}
+
+/**
+ * Reads a 16.16 fixed point number
+ */
+function readFixed(view, offset) {
+    return view.getInt32(offset) / 2 ** 16;
+}
+
+function parseStereoMode(view, st3d) {
+    // Full box: version and flags come first
+    const stereoMode = view.getUint8(st3d.start + 4);
+
+    return STEREO_MODES[stereoMode] || null;
+}
+
+function parseProjection(view, sv3d) {
+    const proj = findBox(view, sv3d, "proj");
+
+    if (!proj) {
+        return null;
+    }
+
+    const projection = {
+        type: null,
+        pose: { yaw: 0, pitch: 0, roll: 0 },
+        bounds: { top: 0, bottom: 0, left: 0, right: 0 },
+    };
+
+    const prhd = findBox(view, proj, "prhd");
+    if (prhd) {
+        projection.pose = {
+            yaw: readFixed(view, prhd.start + 4),
+            pitch: readFixed(view, prhd.start + 8),
+            roll: readFixed(view, prhd.start + 12),
+        };
+    }
+
+    const equi = findBox(view, proj, "equi");
+    if (equi) {
+        projection.type = "equirectangular";
+        projection.bounds = {
+            top: readFraction(view, equi.start + 4),
+            bottom: readFraction(view, equi.start + 8),
+            left: readFraction(view, equi.start + 12),
+            right: readFraction(view, equi.start + 16),
+        };
+    } else if (findBox(view, proj, "cbmp")) {
+        projection.type = "cubemap";
+    } else if (findBox(view, proj, "mshp")) {
+        projection.type = "mesh";
+    }
+
+    return projection;
+}
+
+function isVideoTrack(view, trak) {
+    const hdlr = findPath(view, trak, ["mdia", "hdlr"]);
+
+    // Full box, then pre_defined, then the handler type
+    return !!hdlr && readType(view, hdlr.start + 8) === "vide";
+}
+
+/**
+ * Spherical metadata of the first video track, or null
+ */
+export function parseSphericalMetadata(moov) {
+    const view = moov instanceof DataView ? moov : new DataView(moov);
+    const { headerSize } = readBoxHeader(view, 0);
+    const moovBox = { start: headerSize, end: view.byteLength };
+
+    const trak = readBoxes(view, moovBox.start, moovBox.end).find(
+        (box) => box.type === "trak" && isVideoTrack(view, box)
+    );
+    const stsd = trak && findPath(view, trak, ["mdia", "minf", "stbl", "stsd"]);
+
+    if (!stsd) {
+        return null;
+    }
+
+    // Full box and entry count come before the sample entries
+    const [sampleEntry] = readBoxes(view, stsd.start + 8, stsd.end);
+
+    if (!sampleEntry) {
+        return null;
+    }
+
+    const childBoxes = {
+        start: sampleEntry.start + VISUAL_SAMPLE_ENTRY_SIZE,
+        end: sampleEntry.end,
+    };
+    const st3d = findBox(view, childBoxes, "st3d");
+    const sv3d = findBox(view, childBoxes, "sv3d");
+
+    if (!st3d && !sv3d) {
+        return null;
+    }
+
+    return {
+        stereoMode: st3d ? parseStereoMode(view, st3d) : "mono",
+        projection: sv3d ? parseProjection(view, sv3d) : null,
+    };
+}
+
+async function fetchRange(url, start, end) {
+    const response = await fetch(url, {
+        headers: { Range: `bytes=${start}-${end}` },
+    });
+
+    if (response.status !== 206) {
+        // Don't download a whole video to read its header
+        if (response.body) {
+            response.body.cancel();
+        }
+
+        throw new Error(
+            `Range request failed: expected status 206, got ${response.status}`
+        );
+    }
+
+    return response.arrayBuffer();
+}
+
+/**
+ * Downloads the moov box of an MP4, walking the top level boxes with range requests
+ */
+async function fetchMoov(url) {
+    let offset = 0;
+
+    for (let i = 0; i < MAX_TOP_LEVEL_BOXES; i++) {
+        const header = new DataView(await fetchRange(url, offset, offset + 15));
+
+        if (header.byteLength < 8) {
+            return null;
+        }
+
+        const { type, size } = readBoxHeader(header, 0);
+
+        if (header.getUint32(0) === 0) {
+            // Last box of the file, and its size is unknown from here
+            return null;
+        }
+
+        if (type === "moov") {
+            return fetchRange(url, offset, offset + size - 1);
+        }
+
+        offset += size;
+    }
+
+    return null;
+}
+
+/**
+ * Parses the spherical metadata out of the moov box of a fragmented MP4 init segment
+ */
+export function parseInitSegmentMetadata(initSegment) {
+    const view = new DataView(initSegment);
+    const moov = readBoxes(view, 0, view.byteLength).find(
+        (box) => box.type === "moov"
+    );
+
+    if (!moov) {
+        return null;
+    }
+
+    return parseSphericalMetadata(initSegment.slice(moov.offset, moov.end));
+}
+
+/**
+ * Downloads and parses the spherical metadata of an MP4 URL
+ */
+export async function fetchSphericalMetadata(url) {
+    const moov = await fetchMoov(url);
+
+    return moov ? parseSphericalMetadata(moov) : null;
+}
+
+const degreesToRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Turns spherical metadata into a media layer type and options
+ */
+export function getMetadataLayerOptions({ stereoMode, projection }) {
+    const layout = stereoMode || "mono";
+
+    // Stereo without a projection is a flat 3D movie
+    if (!projection) {
+        return { layerType: "QUAD_LAYER", options: { layout } };
+    }
+
+    if (projection.type !== "equirectangular") {
+        console.warn(
+            `sphericalMetadata: "${projection.type}" projection is not supported by media layers`
+        );
+        return null;
+    }
+
+    const { top, bottom, left, right } = projection.bounds;
+    const { yaw, pitch, roll } = projection.pose;
+
+    return {
+        layerType: "EQUIRECT_LAYER",
+        options: {
+            layout,
+            centralHorizontalAngle: 2 * Math.PI * (1 - left - right),
+            upperVerticalAngle: Math.PI / 2 - Math.PI * top,
+            lowerVerticalAngle: -(Math.PI / 2 - Math.PI * bottom),
+        },
+        orientation: {
+            yaw: degreesToRadians(yaw),
+            pitch: degreesToRadians(pitch),
+            roll: degreesToRadians(roll),
+        },
+    };
+}
+
+// Filename hints, delimited so "3840" doesn't read as "384" and "sloths" doesn't read as "lr"
+const hint = (pattern) =>
+    new RegExp(`(^|[^a-z0-9])(${pattern})([^a-z0-9]|$)`, "i");
+const TOP_BOTTOM_HINT = hint("tb|ou|top[-_]?bottom|over[-_]?under");
+const LEFT_RIGHT_HINT = hint("lr|sbs|side[-_]?by[-_]?side|left[-_]?right");
+const STEREO_HINT = hint("3d");
+const HINT_360 = hint("360");
+const HINT_180 = hint("180");
+
+/**
+ * Guesses a media layer type and options from the video's aspect ratio and filename
+ */
+export function guessLayerOptions(video, src = video.currentSrc || video.src) {
+    const filename = decodeURIComponent(
+        (src || "").split(/[?#]/)[0].split("/").pop()
+    );
+    const aspectRatio = video.videoWidth / video.videoHeight || 16 / 9;
+
+    const is360 = HINT_360.test(filename);
+    const is180 = HINT_180.test(filename);
+
+    let layout = "mono";
+    if (TOP_BOTTOM_HINT.test(filename)) {
+        layout = "stereo-top-bottom";
+    } else if (LEFT_RIGHT_HINT.test(filename)) {
+        layout = "stereo-left-right";
+    } else if (STEREO_HINT.test(filename)) {
+        // 3D 180 video is side by side, 3D 360 video is over under
+        layout = is180 ? "stereo-left-right" : "stereo-top-bottom";
+    } else if (Math.abs(aspectRatio - 1) < 0.05 && !is180) {
+        // Two 2:1 equirect frames, one over the other
+        layout = "stereo-top-bottom";
+    }
+
+    const isSpherical =
+        is360 ||
+        is180 ||
+        (!STEREO_HINT.test(filename) &&
+            (Math.abs(aspectRatio - 2) < 0.05 ||
+                Math.abs(aspectRatio - 1) < 0.05));
+
+    if (!isSpherical) {
+        return { layerType: "QUAD_LAYER", options: { layout } };
+    }
+
+    return {
+        layerType: "EQUIRECT_LAYER",
+        options: {
+            layout,
+            centralHorizontalAngle: is180 ? Math.PI : 2 * Math.PI,
+            upperVerticalAngle: Math.PI / 2,
+            lowerVerticalAngle: -Math.PI / 2,
+        },
+    };
+}
+
+/**
+ * Picks the layer type and options of a video from its spherical metadata, or guesses them
+ */
+export async function detectLayerOptions(video, { src, initSegment } = {}) {
+    const url = src || video.currentSrc || video.src;
+    let metadata = null;
+
+    if (initSegment) {
+        metadata = parseInitSegmentMetadata(initSegment);
+    } else if (url && !url.startsWith("blob:")) {
+        try {
+            metadata = await fetchSphericalMetadata(url);
+        } catch (error) {
+            console.warn(
+                `sphericalMetadata: could not read metadata of ${url}`,
+                error
+            );
+        }
+    }
+
+    const detected = metadata && getMetadataLayerOptions(metadata);
+
+    if (detected) {
+        return detected;
+    }
+
+    await waitForMetadata(video);
+
+    return guessLayerOptions(video, url);
+}
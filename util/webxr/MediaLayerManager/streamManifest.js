@@ -0,0 +1,594 @@
+/**
+ * Parses on demand HLS and DASH manifests into renditions of fragmented MP4 segments
+ */
+
+const VIDEO_CODECS = [
+    "avc1",
+    "avc3",
+    "hvc1",
+    "hev1",
+    "vp09",
+    "vp8",
+    "vp9",
+    "av01",
+];
+
+/**
+ * Whether a URL points to an HLS or a DASH manifest
+ */
+export function isStreamUrl(url) {
+    return /\.(m3u8|mpd)$/i.test(url.split(/[?#]/)[0]);
+}
+
+function isVideoCodec(codec) {
+    return VIDEO_CODECS.includes(codec.split(".")[0]);
+}
+
+function createRendition({ mimeType, codecs, ...rendition }) {
+    return {
+        ...rendition,
+        mimeType,
+        codecs,
+        // What MediaSource.isTypeSupported and addSourceBuffer take
+        type: codecs ? `${mimeType}; codecs="${codecs}"` : mimeType,
+    };
+}
+
+async function fetchText(url) {
+    const response = await fetch(url);
+
+    if (!response.ok) {
+        throw new Error(
+            `Stream request failed: expected status 200, got ${response.status} for ${url}`
+        );
+    }
+
+    return response.text();
+}
+
+/**
+ * Downloads a segment, or the byte range `{ start, end }` of it
+ */
+export async function fetchSegment({ url, range }, signal) {
+    const response = await fetch(url, {
+        headers: range ? { Range: `bytes=${range.start}-${range.end}` } : {},
+        signal,
+    });
+
+    if (!response.ok) {
+        throw new Error(
+            `Stream request failed: expected status 200, got ${response.status} for ${url}`
+        );
+    }
+
+    return response.arrayBuffer();
+}
+
+// HLS
+
+/**
+ * Reads an attribute list such as `BANDWIDTH=800000,CODECS="avc1.4d401f,mp4a.40.2"`
+ */
+function parseAttributes(line) {
+    const attributes = {};
+    const attributePattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+
+    while ((match = attributePattern.exec(line))) {
+        attributes[match[1]] = match[2].replace(/^"|"$/g, "");
+    }
+
+    return attributes;
+}
+
+/**
+ * Reads a `length@offset` byte range, which follows the previous range when the offset is missing
+ */
+function parseByteRange(value, previousEnd = -1) {
+    const [length, offset] = value.split("@").map(Number);
+    const start = offset === undefined ? previousEnd + 1 : offset;
+
+    return { start, end: start + length - 1 };
+}
+
+function splitLines(text) {
+    return text
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line !== "");
+}
+
+/**
+ * Parses an HLS media playlist into an init segment and timed segments
+ */
+export function parseMediaPlaylist(text, baseUrl) {
+    const lines = splitLines(text);
+    const segments = [];
+    let init = null;
+    let duration = 0;
+    let segmentDuration = 0;
+    let range = null;
+    let previousEnd = -1;
+    let ended = false;
+
+    lines.forEach((line) => {
+        if (line.startsWith("#EXT-X-MAP:")) {
+            const { URI, BYTERANGE } = parseAttributes(line.slice(11));
+            init = {
+                url: new URL(URI, baseUrl).href,
+                range: BYTERANGE ? parseByteRange(BYTERANGE) : null,
+            };
+        } else if (line.startsWith("#EXTINF:")) {
+            segmentDuration = parseFloat(line.slice(8));
+        } else if (line.startsWith("#EXT-X-BYTERANGE:")) {
+            range = parseByteRange(line.slice(17), previousEnd);
+            previousEnd = range.end;
+        } else if (line === "#EXT-X-ENDLIST") {
+            ended = true;
+        } else if (!line.startsWith("#")) {
+            segments.push({
+                url: new URL(line, baseUrl).href,
+                range,
+                start: duration,
+                end: duration + segmentDuration,
+            });
+            duration += segmentDuration;
+            range = null;
+        }
+    });
+
+    if (!ended) {
+        throw new Error(
+            "Invalid stream: live HLS playlists are not supported, the playlist needs #EXT-X-ENDLIST"
+        );
+    }
+
+    if (!init) {
+        throw new Error(
+            "Invalid stream: only fragmented MP4 segments are supported, the playlist needs #EXT-X-MAP"
+        );
+    }
+
+    return { init, segments, duration };
+}
+
+async function loadMediaPlaylist(url) {
+    return parseMediaPlaylist(await fetchText(url), url);
+}
+
+/**
+ * Parses an HLS multivariant playlist into its variant streams and audio renditions
+ */
+export function parseMultivariantPlaylist(text, baseUrl) {
+    const lines = splitLines(text);
+    const variants = [];
+    const audioGroups = {};
+
+    lines.forEach((line, index) => {
+        if (line.startsWith("#EXT-X-STREAM-INF:")) {
+            const attributes = parseAttributes(line.slice(18));
+            const [width, height] = (attributes.RESOLUTION || "0x0")
+                .split("x")
+                .map(Number);
+
+            variants.push({
+                url: new URL(lines[index + 1], baseUrl).href,
+                bandwidth: Number(
+                    attributes["AVERAGE-BANDWIDTH"] || attributes.BANDWIDTH
+                ),
+                width,
+                height,
+                codecs: (attributes.CODECS || "")
+                    .split(",")
+                    .map((codec) => codec.trim())
+                    .filter((codec) => codec !== ""),
+                audioGroup: attributes.AUDIO || null,
+            });
+        } else if (line.startsWith("#EXT-X-MEDIA:")) {
+            const attributes = parseAttributes(line.slice(13));
+
+            // Audio without a URI is muxed into the variant streams
+            if (attributes.TYPE === "AUDIO" && attributes.URI) {
+                const group = audioGroups[attributes["GROUP-ID"]] || [];
+                const audio = {
+                    url: new URL(attributes.URI, baseUrl).href,
+                    name: attributes.NAME,
+                };
+
+                // The default rendition goes first
+                if (attributes.DEFAULT === "YES") {
+                    group.unshift(audio);
+                } else {
+                    group.push(audio);
+                }
+                audioGroups[attributes["GROUP-ID"]] = group;
+            }
+        }
+    });
+
+    return { variants, audioGroups };
+}
+
+async function loadHLSManifest(text, url) {
+    // Media Source buffers need the codecs, which only a multivariant playlist lists
+    if (!text.includes("#EXT-X-STREAM-INF:")) {
+        throw new Error(
+            "Invalid stream: HLS media playlists can't be played on their own, use a multivariant playlist with the CODECS of each variant"
+        );
+    }
+
+    const { variants, audioGroups } = parseMultivariantPlaylist(text, url);
+    const audioGroup = variants
+        .map(({ audioGroup }) => audioGroup)
+        .find((group) => group && audioGroups[group]);
+    // Audio renditions are all the same codec within a group, so any variant can tell it
+    const audioCodecs = audioGroup
+        ? variants
+              .find((variant) => variant.audioGroup === audioGroup)
+              .codecs.filter((codec) => !isVideoCodec(codec))
+        : [];
+
+    const video = await Promise.all(
+        variants.map(async (variant, index) => {
+            const { init, segments, duration } = await loadMediaPlaylist(
+                variant.url
+            );
+            // Without a separate audio group, audio is muxed into the video segments
+            const codecs = audioGroup
+                ? variant.codecs.filter(isVideoCodec)
+                : variant.codecs;
+
+            return createRendition({
+                id: String(index),
+                bandwidth: variant.bandwidth,
+                width: variant.width,
+                height: variant.height,
+                mimeType: "video/mp4",
+                codecs: codecs.join(","),
+                init,
+                segments,
+                duration,
+            });
+        })
+    );
+
+    const audio = audioGroup
+        ? await Promise.all(
+              audioGroups[audioGroup].map(async (rendition, index) => {
+                  const { init, segments } = await loadMediaPlaylist(
+                      rendition.url
+                  );
+
+                  return createRendition({
+                      id: String(index),
+                      name: rendition.name,
+                      bandwidth: 0,
+                      mimeType: "audio/mp4",
+                      codecs: audioCodecs.join(","),
+                      init,
+                      segments,
+                  });
+              })
+          )
+        : [];
+
+    return {
+        duration: Math.max(...video.map(({ duration }) => duration)),
+        video: video.map(({ duration, ...rendition }) => rendition),
+        audio,
+    };
+}
+
+// DASH
+
+/**
+ * Reads an ISO 8601 duration such as `PT1M30.5S` in seconds
+ */
+function parseDuration(value) {
+    const match = /^P(?:([\d.]+)D)?(?:T(?:([\d.]+)H)?(?:([\d.]+)M)?(?:([\d.]+)S)?)?$/.exec(
+        value || ""
+    );
+
+    if (!match) {
+        return NaN;
+    }
+
+    const [days = 0, hours = 0, minutes = 0, seconds = 0] = match
+        .slice(1)
+        .map((part) => parseFloat(part || 0));
+
+    return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+function getChildren(element, name) {
+    return Array.from(element.children).filter(
+        (child) => child.localName === name
+    );
+}
+
+function getChild(element, name) {
+    return getChildren(element, name)[0] || null;
+}
+
+/**
+ * Reads an attribute that Representations inherit from their AdaptationSet
+ */
+function getAttribute(name, ...elements) {
+    const element = elements.find(
+        (element) => element && element.hasAttribute(name)
+    );
+
+    return element ? element.getAttribute(name) : null;
+}
+
+function resolveBaseUrl(element, baseUrl) {
+    const baseUrlElement = getChild(element, "BaseURL");
+
+    return baseUrlElement
+        ? new URL(baseUrlElement.textContent.trim(), baseUrl).href
+        : baseUrl;
+}
+
+/**
+ * Fills in $RepresentationID$, $Number$, $Bandwidth$ and $Time$, with optional %0Nd widths
+ */
+function fillTemplate(template, values) {
+    return template.replace(
+        /\$(RepresentationID|Number|Bandwidth|Time|)(?:%0(\d+)d)?\$/g,
+        (_match, name, width) => {
+            if (name === "") {
+                return "$";
+            }
+
+            const value = String(values[name]);
+
+            return width ? value.padStart(Number(width), "0") : value;
+        }
+    );
+}
+
+function parseRangeAttribute(value) {
+    if (!value) {
+        return null;
+    }
+
+    const [start, end] = value.split("-").map(Number);
+
+    return { start, end };
+}
+
+/**
+ * Lists the segments of a SegmentTemplate, from its SegmentTimeline or fixed duration
+ */
+function parseSegmentTemplate(
+    templates,
+    representation,
+    baseUrl,
+    periodDuration
+) {
+    const attribute = (name) => getAttribute(name, ...templates);
+    const timescale = Number(attribute("timescale") || 1);
+    const startNumber = Number(attribute("startNumber") || 1);
+    const offset = Number(attribute("presentationTimeOffset") || 0);
+    const media = attribute("media");
+    const values = {
+        RepresentationID: representation.getAttribute("id"),
+        Bandwidth: representation.getAttribute("bandwidth"),
+    };
+    const segments = [];
+
+    const addSegment = (number, time, duration) => {
+        segments.push({
+            url: new URL(
+                fillTemplate(media, { ...values, Number: number, Time: time }),
+                baseUrl
+            ).href,
+            range: null,
+            start: (time - offset) / timescale,
+            end: (time - offset + duration) / timescale,
+        });
+    };
+
+    const timeline = templates
+        .map((template) => template && getChild(template, "SegmentTimeline"))
+        .find(Boolean);
+
+    if (timeline) {
+        let number = startNumber;
+        let time = 0;
+
+        getChildren(timeline, "S").forEach((s) => {
+            const duration = Number(s.getAttribute("d"));
+            const repeat = Number(s.getAttribute("r") || 0);
+
+            if (s.hasAttribute("t")) {
+                time = Number(s.getAttribute("t"));
+            }
+
+            // A negative repeat runs until the end of the period
+            const count =
+                repeat < 0
+                    ? Math.ceil(
+                          (periodDuration * timescale - (time - offset)) /
+                              duration
+                      )
+                    : repeat + 1;
+
+            for (let i = 0; i < count; i++) {
+                addSegment(number++, time, duration);
+                time += duration;
+            }
+        });
+    } else {
+        const duration = Number(attribute("duration"));
+        const count = Math.ceil((periodDuration * timescale) / duration);
+
+        for (let i = 0; i < count; i++) {
+            addSegment(startNumber + i, offset + i * duration, duration);
+        }
+    }
+
+    const initialization = attribute("initialization");
+
+    return {
+        init: {
+            url: new URL(fillTemplate(initialization, values), baseUrl).href,
+            range: null,
+        },
+        segments,
+    };
+}
+
+/**
+ * Lists the segments of a SegmentList, which all have the same duration
+ */
+function parseSegmentList(list, baseUrl) {
+    const timescale = Number(list.getAttribute("timescale") || 1);
+    const duration = Number(list.getAttribute("duration")) / timescale;
+    const initialization = getChild(list, "Initialization");
+
+    return {
+        init: {
+            url: new URL(
+                initialization.getAttribute("sourceURL") || "",
+                baseUrl
+            ).href,
+            range: parseRangeAttribute(initialization.getAttribute("range")),
+        },
+        segments: getChildren(list, "SegmentURL").map((segmentUrl, index) => ({
+            url: new URL(segmentUrl.getAttribute("media") || "", baseUrl).href,
+            range: parseRangeAttribute(segmentUrl.getAttribute("mediaRange")),
+            start: index * duration,
+            end: (index + 1) * duration,
+        })),
+    };
+}
+
+/**
+ * Parses the first period of a DASH MPD into video and audio renditions
+ */
+export function parseDASHManifest(text, url) {
+    const mpd = new DOMParser().parseFromString(text, "application/xml")
+        .documentElement;
+
+    if (mpd.localName !== "MPD") {
+        throw new Error("Invalid stream: the manifest is not a DASH MPD");
+    }
+
+    if (mpd.getAttribute("type") === "dynamic") {
+        throw new Error(
+            "Invalid stream: live DASH manifests are not supported"
+        );
+    }
+
+    const [period, ...otherPeriods] = getChildren(mpd, "Period");
+
+    if (otherPeriods.length > 0) {
+        console.warn(
+            "streamManifest: only the first period of a multi-period DASH manifest is played"
+        );
+    }
+
+    const duration = parseDuration(
+        period.getAttribute("duration") ||
+            mpd.getAttribute("mediaPresentationDuration")
+    );
+    const periodBaseUrl = resolveBaseUrl(period, resolveBaseUrl(mpd, url));
+    const video = [];
+    const audio = [];
+
+    getChildren(period, "AdaptationSet").forEach((adaptationSet) => {
+        const setBaseUrl = resolveBaseUrl(adaptationSet, periodBaseUrl);
+
+        getChildren(adaptationSet, "Representation").forEach(
+            (representation) => {
+                const baseUrl = resolveBaseUrl(representation, setBaseUrl);
+                const mimeType = getAttribute(
+                    "mimeType",
+                    representation,
+                    adaptationSet
+                );
+                const contentType =
+                    adaptationSet.getAttribute("contentType") ||
+                    (mimeType || "").split("/")[0];
+
+                if (contentType !== "video" && contentType !== "audio") {
+                    return;
+                }
+
+                const list = getChild(representation, "SegmentList");
+                const templates = [
+                    getChild(representation, "SegmentTemplate"),
+                    getChild(adaptationSet, "SegmentTemplate"),
+                ];
+
+                let addressing;
+                if (list) {
+                    addressing = parseSegmentList(list, baseUrl);
+                } else if (templates.some(Boolean)) {
+                    addressing = parseSegmentTemplate(
+                        templates.filter(Boolean),
+                        representation,
+                        baseUrl,
+                        duration
+                    );
+                } else {
+                    throw new Error(
+                        "Invalid stream: DASH representations need a SegmentTemplate or SegmentList, SegmentBase is not supported"
+                    );
+                }
+
+                const rendition = createRendition({
+                    id: representation.getAttribute("id"),
+                    bandwidth: Number(representation.getAttribute("bandwidth")),
+                    width: Number(
+                        getAttribute("width", representation, adaptationSet) ||
+                            0
+                    ),
+                    height: Number(
+                        getAttribute("height", representation, adaptationSet) ||
+                            0
+                    ),
+                    mimeType,
+                    codecs: getAttribute(
+                        "codecs",
+                        representation,
+                        adaptationSet
+                    ),
+                    ...addressing,
+                });
+
+                (contentType === "video" ? video : audio).push(rendition);
+            }
+        );
+    });
+
+    return { duration, video, audio };
+}
+
+/**
+ * Downloads and parses an HLS or DASH manifest
+ */
+export async function loadStreamManifest(url) {
+    const text = await fetchText(url);
+    const manifest = text.trimStart().startsWith("#EXTM3U")
+        ? await loadHLSManifest(text, url)
+        : parseDASHManifest(text, url);
+
+    if (manifest.video.length === 0) {
+        throw new Error("Invalid stream: the manifest has no video renditions");
+    }
+
+    const withoutCodecs = [...manifest.video, ...manifest.audio].find(
+        ({ codecs }) => !codecs
+    );
+    if (withoutCodecs) {
+        throw new Error(
+            `Invalid stream: rendition "${withoutCodecs.id}" doesn't give its codecs, which Media Source buffers need`
+        );
+    }
+
+    manifest.video.sort((a, b) => a.bandwidth - b.bandwidth);
+
+    return manifest;
+}
@@ -0,0 +1,30 @@
+// How long to wait for a video's metadata, as a video with preload="none" never loads it by itself
+const METADATA_TIMEOUT = 10000;
+
+/**
+ * Resolves with true once the video's metadata has loaded, or false on error or timeout
+ */
+export default function waitForMetadata(video, timeout = METADATA_TIMEOUT) {
+    if (video.readyState >= 1) {
+        return Promise.resolve(true);
+    }
+
+    if (video.error) {
+        return Promise.resolve(false);
+    }
+
+    return new Promise((resolve) => {
+        const done = (loaded) => {
+            clearTimeout(timer);
+            video.removeEventListener("loadedmetadata", onLoadedMetadata);
+            video.removeEventListener("error", onError);
+            resolve(loaded);
+        };
+        const onLoadedMetadata = () => done(true);
+        const onError = () => done(false);
+        const timer = setTimeout(onError, timeout);
+
+        video.addEventListener("loadedmetadata", onLoadedMetadata);
+        video.addEventListener("error", onError);
+    });
+}
@@ -0,0 +1,312 @@
+import * as THREE from "three";
+
+import { CanvasUI } from "../CanvasUI";
+import GlassLayer from "./MediaLayerManager/GlassLayer";
+import LazyFollow from "./MediaLayerManager/LazyFollow";
+import {
+    isCylinderLayer,
+    isEquirectLayer,
+} from "./MediaLayerManager/layerTypes";
+
+// Gap between the bottom edge of the video and the subtitles
+const MARGIN = 0.02;
+
+/**
+ * Shows the active cues of a video's WebVTT tracks on a CanvasUI panel
+ */
+class Subtitles {
+    constructor(
+        layer,
+        renderer,
+        video,
+        {
+            panelWidth = 1.6,
+            panelHeight = 0.3,
+            fontSize = 48,
+            distance = 1.5,
+        } = {}
+    ) {
+        this.layer = layer;
+        this.renderer = renderer;
+        this.video = video;
+
+        this.panelWidth = panelWidth;
+        this.panelHeight = panelHeight;
+        this.distance = distance;
+
+        this.trackElements = [];
+        this.track = null;
+        this.isEnabled = true;
+        this.text = "";
+
+        this.onCueChange = this.onCueChange.bind(this);
+
+        this.ui = this.createUI(fontSize);
+        this.ui.mesh.visible = false;
+
+        this.group = new THREE.Group();
+        this.group.add(this.ui.mesh);
+
+        // Equirects have no edge to hang the subtitles from, so they follow the viewer's heading
+        this.anchor = { transform: null };
+        this.lazyFollow = null;
+    }
+
+    /**
+     * Follows the media layer onto a new XR layer, see MediaLayer.replaceLayer
+     */
+    setLayer(layer) {
+        this.layer = layer;
+        this.lazyFollow = null;
+    }
+
+    /**
+     * Subtitle and caption tracks of the video, including ones not added through addTrack
+     */
+    get tracks() {
+        return Array.from(this.video.textTracks).filter(
+            ({ kind }) => kind === "subtitles" || kind === "captions"
+        );
+    }
+
+    get trackIndex() {
+        return this.tracks.indexOf(this.track);
+    }
+
+    createUI(fontSize) {
+        const config = {
+            panelSize: {
+                width: this.panelWidth,
+                height: this.panelHeight,
+            },
+            width: 1024,
+            height: Math.round((1024 * this.panelHeight) / this.panelWidth),
+            opacity: 1,
+            body: {
+                fontSize,
+                padding: 16,
+                textAlign: "center",
+                verticalAlign: "bottom",
+                backgroundColor: "rgba(0, 0, 0, 0.6)",
+                fontColor: "#fff",
+                borderRadius: 12,
+            },
+        };
+
+        return new CanvasUI({ body: "" }, config);
+    }
+
+    /**
+     * Adds a WebVTT file as a track of the video, and shows it if no track is shown yet
+     */
+    addTrack(
+        src,
+        {
+            label = "",
+            language = "",
+            kind = "subtitles",
+            isDefault = false,
+        } = {}
+    ) {
+        if (kind !== "subtitles" && kind !== "captions") {
+            throw new Error(
+                `Invalid track kind: kind must be one of "subtitles" || "captions"`
+            );
+        }
+
+        const trackElement = document.createElement("track");
+        trackElement.kind = kind;
+        trackElement.label = label;
+        trackElement.srclang = language;
+        trackElement.src = src;
+
+        this.video.appendChild(trackElement);
+        this.trackElements.push(trackElement);
+
+        const { track } = trackElement;
+        // Disabled tracks are never loaded
+        track.mode = "disabled";
+
+        if (isDefault || !this.track) {
+            this.selectTrack(this.tracks.indexOf(track));
+        } else {
+            this.dispatchEvent({ type: "change" });
+        }
+
+        return track;
+    }
+
+    /**
+     * Shows a track by its index in `tracks`, or no track with -1
+     */
+    selectTrack(index) {
+        const tracks = this.tracks;
+
+        if (index < -1 || index >= tracks.length) {
+            throw new Error(
+                `Invalid track index: index must be between -1 and ${
+                    tracks.length - 1
+                }`
+            );
+        }
+
+        if (this.track) {
+            this.track.removeEventListener("cuechange", this.onCueChange);
+            this.track.mode = "disabled";
+        }
+
+        this.track = index === -1 ? null : tracks[index];
+
+        if (this.track) {
+            // Hidden tracks load and fire cuechange, without the browser drawing them
+            this.track.mode = "hidden";
+            this.track.addEventListener("cuechange", this.onCueChange);
+        }
+
+        this.onCueChange();
+        this.dispatchEvent({ type: "change" });
+    }
+
+    /**
+     * Moves on to the next track, back to the first after the last
+     */
+    selectNextTrack() {
+        const { length } = this.tracks;
+
+        if (length > 0) {
+            this.selectTrack((this.trackIndex + 1) % length);
+        }
+    }
+
+    setEnabled(isEnabled) {
+        this.isEnabled = isEnabled;
+        this.updateVisibility();
+        this.dispatchEvent({ type: "change" });
+    }
+
+    toggle() {
+        this.setEnabled(!this.isEnabled);
+    }
+
+    onCueChange() {
+        const cues = this.track && this.track.activeCues;
+        const text = cues
+            ? Array.from(cues)
+                  .map((cue) => Subtitles.getCueText(cue))
+                  .join("\n")
+            : "";
+
+        if (text !== this.text) {
+            this.text = text;
+            this.ui.updateElement("body", text);
+        }
+
+        this.updateVisibility();
+    }
+
+    /**
+     * Plain text of a cue, without its WebVTT tags and entities
+     */
+    static getCueText(cue) {
+        return cue.getCueAsHTML
+            ? cue.getCueAsHTML().textContent.trim()
+            : cue.text.replace(/<[^>]*>/g, "").trim();
+    }
+
+    updateVisibility() {
+        this.ui.mesh.visible = this.isEnabled && this.text !== "";
+    }
+
+    updateOnRender() {
+        if (isEquirectLayer(this.layer)) {
+            this.updateFollow();
+        } else {
+            this.updateOrientation(
+                this.layer.transform.position,
+                this.layer.transform.orientation
+            );
+        }
+
+        this.ui.update();
+    }
+
+    /**
+     * Places the subtitles under a quad or cylinder layer at a pose in the scene
+     */
+    updateOrientation(position, quaternion) {
+        if (isEquirectLayer(this.layer)) {
+            return;
+        }
+
+        const height = isCylinderLayer(this.layer)
+            ? GlassLayer.getCylinderHeight(this.layer) / 2
+            : // Quads are drawn at twice their height
+              this.layer.height;
+        const offset = new THREE.Vector3(
+            0,
+            -height - MARGIN - this.panelHeight / 2,
+            isCylinderLayer(this.layer) ? -this.layer.radius + MARGIN : MARGIN
+        ).applyQuaternion(quaternion);
+
+        this.group.position.set(position.x, position.y, position.z).add(offset);
+        this.group.quaternion.copy(quaternion);
+    }
+
+    /**
+     * Keeps the subtitles a little below eye level, easing back in front of the viewer when they turn
+     */
+    updateFollow() {
+        if (!this.lazyFollow) {
+            const pose = this.renderer.xr.getViewerPose();
+
+            if (!pose) {
+                return;
+            }
+
+            const { x, y, z } = pose.transform.position;
+            this.anchor.transform = new XRRigidTransform({
+                x,
+                y: y - 0.4,
+                z: z - this.distance,
+                w: 1.0,
+            });
+            this.lazyFollow = new LazyFollow(this.anchor, this.renderer, {
+                angle: Math.PI / 8,
+            });
+        }
+
+        this.lazyFollow.update();
+
+        const { position, orientation } = this.anchor.transform;
+        this.group.position.set(position.x, position.y, position.z);
+        this.group.quaternion.set(
+            orientation.x,
+            orientation.y,
+            orientation.z,
+            orientation.w
+        );
+    }
+
+    /**
+     * Removes the panel and the tracks added through addTrack
+     */
+    destroy() {
+        if (this.track) {
+            this.track.removeEventListener("cuechange", this.onCueChange);
+            this.track.mode = "disabled";
+        }
+
+        this.trackElements.forEach((trackElement) => trackElement.remove());
+        this.trackElements = [];
+
+        if (this.group.parent) {
+            this.group.parent.remove(this.group);
+        }
+
+        this.ui.destroy();
+    }
+}
+
+Object.assign(Subtitles.prototype, THREE.EventDispatcher.prototype);
+
+export default Subtitles;
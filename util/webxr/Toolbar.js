@@ -1,6 +1,12 @@
 import * as THREE from "three";
 
 import { CanvasUI } from "../CanvasUI";
+import { CanvasLayer } from "./CanvasLayer";
+import GlassLayer from "./MediaLayerManager/GlassLayer";
+import { isCylinderLayer } from "./MediaLayerManager/layerTypes";
+
+// Colour of the CC toggle while subtitles are off
+const SUBTITLES_OFF_COLOR = "#777";
 
 class Toolbar {
     constructor(layer, renderer, video, options) {
@@ -8,7 +14,21 @@ class Toolbar {
         this.renderer = renderer;
         this.video = video;
 
-        const { uiConfig, toolbarGroupConfig } = options;
+        const {
+            uiConfig,
+            toolbarGroupConfig,
+            playlist = null,
+            subtitles = null,
+        } = options;
+
+        this.uiConfig = uiConfig;
+        this.playlist = playlist;
+        this.subtitles = subtitles;
+
+        this.onSubtitlesChange = this.onSubtitlesChange.bind(this);
+        if (subtitles) {
+            subtitles.addEventListener("change", this.onSubtitlesChange);
+        }
 
         this.uiWidth = uiConfig.panelWidth;
         this.uiHeight = uiConfig.panelHeight;
@@ -16,6 +36,12 @@ class Toolbar {
         // Buttons and Panel
         this.ui = this.createUI(uiConfig);
 
+        // Panel composited through a quad layer, when asked for and supported
+        this.canvasLayer =
+            uiConfig.useQuadLayer && CanvasLayer.isSupported(this.renderer)
+                ? new CanvasLayer(this.ui, this.renderer)
+                : null;
+
         // Progress Bar
         this.progressBar = this.createProgressBar();
 
@@ -27,6 +53,64 @@ class Toolbar {
         return [this.ui.mesh, ...this.progressBar.children];
     }
 
+    /**
+     * XR layers of the toolbar that should currently be composited
+     */
+    get layers() {
+        if (this.canvasLayer && this.canvasLayer.isVisible) {
+            return [this.canvasLayer.layer];
+        }
+
+        return [];
+    }
+
+    /**
+     * Rebuilds the panel with previous and next item buttons for the playlist, or without them
+     */
+    setPlaylist(playlist) {
+        this.playlist = playlist;
+        this.rebuildUI();
+    }
+
+    /**
+     * Rebuilds the panel with a CC toggle and a subtitle track picker, or without them
+     */
+    setSubtitles(subtitles) {
+        if (this.subtitles) {
+            this.subtitles.removeEventListener(
+                "change",
+                this.onSubtitlesChange
+            );
+        }
+
+        this.subtitles = subtitles;
+
+        if (subtitles) {
+            subtitles.addEventListener("change", this.onSubtitlesChange);
+        }
+
+        this.rebuildUI();
+    }
+
+    /**
+     * Swaps in a new panel for the current buttons, where the old one was
+     */
+    rebuildUI() {
+        const oldUI = this.ui;
+        this.ui = this.createUI(this.uiConfig);
+
+        const { position, quaternion } = oldUI.mesh;
+        this.ui.mesh.position.copy(position);
+        this.ui.mesh.quaternion.copy(quaternion);
+
+        this.toolbarGroup.add(this.ui.mesh);
+        oldUI.destroy();
+
+        if (this.canvasLayer) {
+            this.canvasLayer.setUI(this.ui);
+        }
+    }
+
     createProgressBar() {
         const barGroup = new THREE.Group();
 
@@ -99,6 +183,22 @@ class Toolbar {
             },
         };
 
+        const onPreviousItem = () => {
+            this.playlist.previous();
+        };
+
+        const onNextItem = () => {
+            this.playlist.next();
+        };
+
+        const onToggleSubtitles = () => {
+            this.subtitles.toggle();
+        };
+
+        const onNextSubtitleTrack = () => {
+            this.subtitles.selectNextTrack();
+        };
+
         const config = {
             panelSize: {
                 width: uiConfig.panelWidth,
@@ -152,6 +252,57 @@ class Toolbar {
             restart: "Restart",
         };
 
+        if (this.playlist) {
+            config.previousItem = {
+                type: "button",
+                width: 64,
+                fontColor: colors.yellow.dark,
+                hover: colors.yellow.bright,
+                onSelect: onPreviousItem,
+            };
+            config.nextItem = {
+                type: "button",
+                width: 64,
+                fontColor: colors.yellow.dark,
+                hover: colors.yellow.bright,
+                onSelect: onNextItem,
+            };
+
+            content.previousItem =
+                "<path>M 10 10 L 18 10 L 18 54 L 10 54 Z M 18 32 L 54 10 L 54 54 Z</path>";
+            content.nextItem =
+                "<path>M 46 10 L 54 10 L 54 54 L 46 54 Z M 46 32 L 10 10 L 10 54 Z</path>";
+        }
+
+        if (this.subtitles) {
+            config.cc = {
+                type: "button",
+                width: 64,
+                height: 52,
+                padding: 4,
+                fontSize: 26,
+                fontColor: this.subtitles.isEnabled
+                    ? colors.white
+                    : SUBTITLES_OFF_COLOR,
+                hover: colors.yellow.bright,
+                onSelect: onToggleSubtitles,
+            };
+            config.track = {
+                type: "button",
+                width: 64,
+                height: 52,
+                padding: 4,
+                fontSize: 22,
+                fontColor: colors.white,
+                hover: colors.yellow.bright,
+                onSelect: onNextSubtitleTrack,
+            };
+
+            Object.assign(content, this.getSubtitlesContent());
+        }
+
+        this.layoutButtons(config, content);
+
         const ui = new CanvasUI(content, config);
         const { x, y, z } = uiConfig.position;
         ui.mesh.position.set(x, y, z);
@@ -159,6 +310,72 @@ class Toolbar {
         return ui;
     }
 
+    /**
+     * Lines the buttons up, shrinking pause and restart to icons when the row is full
+     */
+    layoutButtons(config, content) {
+        const isFull = this.playlist && this.subtitles;
+        const row = [
+            ...(this.playlist ? ["previousItem"] : []),
+            "prev",
+            "pause",
+            "next",
+            ...(this.playlist ? ["nextItem"] : []),
+            ...(this.subtitles ? ["cc", "track"] : []),
+        ];
+
+        if (isFull) {
+            config.pause.width = 64;
+        }
+
+        let left = 0;
+        row.forEach((name) => {
+            // Icons are drawn from the top of their 64px box, text buttons are a little lower
+            const top = content[name].startsWith("<path>") ? 32 : 35;
+            config[name].position = { top, left };
+            left += config[name].width;
+        });
+
+        if (isFull) {
+            config.restart.position = { top: 32, left };
+            config.restart.width = 64;
+            config.restart.height = 64;
+            config.restart.backgroundColor = undefined;
+            config.restart.fontColor = config.prev.fontColor;
+            config.restart.hover = config.prev.hover;
+            content.restart =
+                "<path>M 10 10 L 18 10 L 18 54 L 10 54 Z M 22 32 L 54 10 L 54 54 Z</path>";
+        } else if (row.length > 3) {
+            config.restart.width = 512 - left - 10;
+            config.restart.padding = 4;
+            config.restart.fontSize = 24;
+        }
+    }
+
+    /**
+     * Labels of the CC toggle and track picker, the track picker shows the language of the track
+     */
+    getSubtitlesContent() {
+        const track = this.subtitles.track;
+        const label = track
+            ? (track.language || track.label || "?").slice(0, 3).toUpperCase()
+            : "OFF";
+
+        return { cc: "CC", track: label };
+    }
+
+    onSubtitlesChange() {
+        const { cc, track } = this.getSubtitlesContent();
+
+        this.ui.updateConfig(
+            "cc",
+            "fontColor",
+            this.subtitles.isEnabled ? "#fff" : SUBTITLES_OFF_COLOR
+        );
+        this.ui.updateElement("cc", cc);
+        this.ui.updateElement("track", track);
+    }
+
     setVideoCurrentTime(intersection) {
         const barFraction = intersection.uv.x;
         let timeFraction;
@@ -196,6 +413,10 @@ class Toolbar {
             this.updateUI();
         }
 
+        if (this.canvasLayer) {
+            this.canvasLayer.update();
+        }
+
         if (this.video) {
             this.updateProgressBar();
         }
@@ -209,9 +430,14 @@ class Toolbar {
     }
 
     /**
-     * Updates position and quaternion of toolbar when quad video layer is moved
+     * Updates position and quaternion of toolbar when quad or cylinder video layer is moved
      */
     updateOrientation(position, quaternion) {
+        if (isCylinderLayer(this.layer)) {
+            this.updateCylinderOrientation(position, quaternion);
+            return;
+        }
+
         // update positions x, y, z
         const { x, y, z } = position;
         this.toolbarGroup.position.x = x;
@@ -220,11 +446,47 @@ class Toolbar {
 
         // update quaternion (3d heading and orientation)
         this.toolbarGroup.quaternion.copy(quaternion);
+        this.updateScale();
+
+        this.toolbarGroup.position.needsUpdate = true;
+        this.toolbarGroup.quaternion.needsUpdate = true;
+    }
+
+    /**
+     * Places the toolbar under the middle of the arc of a cylinder layer
+     */
+    updateCylinderOrientation(position, quaternion) {
+        const height = GlassLayer.getCylinderHeight(this.layer);
+        const offset = new THREE.Vector3(
+            0,
+            -height / 2,
+            -this.layer.radius + 0.05
+        ).applyQuaternion(quaternion);
+
+        this.toolbarGroup.position
+            .set(position.x, position.y, position.z)
+            .add(offset);
+        this.toolbarGroup.quaternion.copy(quaternion);
+        this.updateScale();
 
         this.toolbarGroup.position.needsUpdate = true;
         this.toolbarGroup.quaternion.needsUpdate = true;
     }
 
+    /**
+     * Shrinks the toolbar to the width of a narrow quad or cylinder, such as one showing a portrait video
+     */
+    updateScale() {
+        const layerWidth = isCylinderLayer(this.layer)
+            ? this.layer.radius * this.layer.centralAngle
+            : // Quads are drawn at twice their width
+              2 * this.layer.width;
+
+        this.toolbarGroup.scale.setScalar(
+            Math.min(1, layerWidth / this.uiWidth)
+        );
+    }
+
     /**
      * Updates progress bar as video plays
      */
@@ -256,6 +518,29 @@ class Toolbar {
     updateUI() {
         this.ui.update();
     }
+
+    /**
+     * Removes the toolbar from the scene and frees the UI panel and progress bar
+     */
+    destroy() {
+        if (this.subtitles) {
+            this.subtitles.removeEventListener(
+                "change",
+                this.onSubtitlesChange
+            );
+        }
+
+        if (this.toolbarGroup.parent) {
+            this.toolbarGroup.parent.remove(this.toolbarGroup);
+        }
+
+        this.progressBar.children.forEach(({ geometry, material }) => {
+            geometry.dispose();
+            material.dispose();
+        });
+
+        this.ui.destroy();
+    }
 }
 
 export default Toolbar;
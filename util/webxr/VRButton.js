@@ -1,26 +1,60 @@
+// Button id, labels, placement and default features of each session mode.
+// The AR button sits above the VR one, so a page can offer both
+const MODES = {
+    "immersive-vr": {
+        id: "VRButton",
+        bottom: "20px",
+        optionalFeatures: ["local-floor", "bounded-floor", "hand-tracking"],
+        labels: {
+            enter: "ENTER VR",
+            exit: "EXIT VR",
+            notSupported: "VR NOT SUPPORTED",
+        },
+    },
+    "immersive-ar": {
+        id: "ARButton",
+        bottom: "70px",
+        optionalFeatures: ["layers", "local-floor", "hand-tracking"],
+        labels: {
+            enter: "START AR",
+            exit: "STOP AR",
+            notSupported: "AR NOT SUPPORTED",
+        },
+    },
+};
+
+/**
+ * Button that starts and ends an immersive session of the given `mode`
+ */
 class VRButton {
-    constructor(renderer, sessionInit) {
+    constructor(renderer, sessionInit, { mode = "immersive-vr", labels } = {}) {
+        if (!MODES[mode]) {
+            throw new Error(
+                `Invalid session mode: expected "immersive-vr" || "immersive-ar", got ${mode}`
+            );
+        }
+
         this.renderer = renderer;
         this.domElement = null;
         this.session = null;
+        this.mode = mode;
+        this.labels = { ...MODES[mode].labels, ...labels };
         this.sessionInit = sessionInit || {
-            optionalFeatures: ["local-floor", "bounded-floor", "hand-tracking"],
+            optionalFeatures: MODES[mode].optionalFeatures,
         };
 
         if ("xr" in navigator) {
             const button = document.createElement("button");
             this.domElement = button;
 
-            button.id = "VRButton";
+            button.id = MODES[mode].id;
             button.style.display = "none";
 
             this.#stylizeElement(button);
 
-            navigator.xr
-                .isSessionSupported("immersive-vr")
-                .then((supported) => {
-                    supported ? this.#showEnterVR() : this.#showWebXRNotFound();
-                });
+            navigator.xr.isSessionSupported(this.mode).then((supported) => {
+                supported ? this.#showEnterVR() : this.#showWebXRNotFound();
+            });
         } else {
             const message = document.createElement("a");
             this.domElement = message;
@@ -40,7 +74,7 @@ class VRButton {
             message.style.width = "180px";
             message.style.textDecoration = "none";
 
-            this.stylizeElement(message);
+            this.#stylizeElement(message);
         }
     }
 
@@ -59,7 +93,7 @@ class VRButton {
 
     #stylizeElement(element) {
         element.style.position = "absolute";
-        element.style.bottom = "20px";
+        element.style.bottom = MODES[this.mode].bottom;
         element.style.padding = "12px 6px";
         element.style.border = "1px solid #fff";
         element.style.borderRadius = "4px";
@@ -80,7 +114,7 @@ class VRButton {
             onSessionEnded = async () => {
                 this.session.removeEventListener("end", onSessionEnded);
 
-                this.domElement.textContent = "ENTER VR";
+                this.domElement.textContent = this.labels.enter;
 
                 this.session = null;
             };
@@ -92,7 +126,7 @@ class VRButton {
                 this.session.addEventListener("end", onSessionEnded);
 
                 await this.renderer.xr.setSession(this.session);
-                this.domElement.textContent = "EXIT VR";
+                this.domElement.textContent = this.labels.exit;
             };
         }
 
@@ -104,19 +138,27 @@ class VRButton {
         this.domElement.style.left = "calc(50% - 50px)";
         this.domElement.style.width = "100px";
 
-        this.domElement.textContent = "ENTER VR";
+        this.domElement.textContent = this.labels.enter;
 
         this.domElement.onmouseenter = () => {
+            this.domElement.style.opacity = "1.0";
+        };
+
+        this.domElement.onmouseleave = () => {
             this.domElement.style.opacity = "0.5";
         };
 
         this.domElement.onclick = () => {
             if (!this.session) {
-                const sessionInit = this.sessionInit;
-
+                // Rejected when another session is running, as one started from another button
                 navigator.xr
-                    .requestSession("immersive-vr", sessionInit)
-                    .then(onSessionStarted);
+                    .requestSession(this.mode, this.sessionInit)
+                    .then(onSessionStarted)
+                    .catch((error) =>
+                        console.warn(
+                            `VRButton: the ${this.mode} session couldn't be started, ${error}`
+                        )
+                    );
             } else {
                 this.session.end();
             }
@@ -126,7 +168,7 @@ class VRButton {
     #showWebXRNotFound() {
         this.#disableButton();
 
-        this.domElement.textContent = "VR NOT SUPPORTED";
+        this.domElement.textContent = this.labels.notSupported;
     }
 }
 
@@ -4,13 +4,27 @@
 
 import { ArrayCamera } from "three/src/cameras/ArrayCamera";
 import { EventDispatcher } from "three/src/core/EventDispatcher";
+import { MathUtils } from "three/src/math/MathUtils";
 import { PerspectiveCamera } from "three/src/cameras/PerspectiveCamera";
 import { Vector3 } from "three/src/math/Vector3";
 import { Vector4 } from "three/src/math/Vector4";
 import { WebGLAnimation } from "three/src/renderers/webgl/WebGLAnimation";
 
+import { AnchoredReferenceSpace } from "./AnchoredReferenceSpace";
 import { WebXRController } from "./WebXRController";
 
+// Dynamic resolution drops the resolution `step` at a time when more than `maxMissedFrames` of `sampleFrames`
+// take over `missedFrameFactor` frame intervals, and only raises it back after `increaseAfter` samples without any
+const DYNAMIC_RESOLUTION_DEFAULTS = {
+    minScale: 0.5,
+    maxScale: 1,
+    step: 0.1,
+    missedFrameFactor: 1.5,
+    sampleFrames: 45,
+    maxMissedFrames: 3,
+    increaseAfter: 3,
+};
+
 class WebXRManager {
     constructor(renderer, gl) {
         const scope = this;
@@ -21,14 +35,40 @@ class WebXRManager {
 
         let referenceSpace = null;
         let referenceSpaceType = "local-floor";
+        let anchoredReferenceSpace = null;
 
         let pose = null;
+        let xrFrame = null;
         let glBinding = null;
         let glFramebuffer = null;
         let glProjLayer = null;
-
+        let multiviewExtension = null;
+        // One layer of the texture array each, for what can't be drawn in the multiview pass
+        const viewFramebuffers = [];
+
+        // Projection layer replaced at a new resolution, destroyed once a frame without it has started
+        let retiredProjLayer = null;
+        let projLayerScale = 1;
+
+        let dynamicResolution = null;
+        let resolutionScale = 1;
+        let viewportScaling = false;
+
+        // Frame timing, sampled while dynamic resolution is on
+        let lastFrameTime = null;
+        let minFrameTime = Infinity;
+        let sampledFrames = 0;
+        let missedFrames = 0;
+        let smoothSamples = 0;
+
+        // Controllers by index, and by handedness for "left" and "right"
         const controllers = [];
+        const handedControllers = new Map();
+
+        // Input sources stay with the controllers they connected to until they're removed
         const inputSourcesMap = new Map();
+        const controllerInputSources = new Map();
+        const controllerHandedness = new Map();
 
         //
         const cameraL = new PerspectiveCamera();
@@ -44,76 +84,116 @@ class WebXRManager {
         const cameraVR = new ArrayCamera();
         cameraVR.layers.enable(1);
         cameraVR.layers.enable(2);
+        // Tells the renderer to draw every view in one pass
+        cameraVR.isMultiviewCamera = false;
 
         let _currentDepthNear = null;
         let _currentDepthFar = null;
 
+        // Clear alpha of the renderer, while it's cleared to transparent to show the real world
+        let _savedClearAlpha = null;
+
         //
         this.enabled = false;
 
         this.isPresenting = false;
 
-        this.getController = function (index) {
-            let controller = controllers[index];
+        /**
+         * Whether the projection layer is a texture array drawn with OVR_multiview2, both eyes in one pass
+         */
+        this.isMultiview = false;
 
-            if (controller === undefined) {
-                controller = new WebXRController();
-                controllers[index] = controller;
-            }
+        /**
+         * Controllers are taken by index, or by "left" and "right" to follow the input source of that hand
+         */
+        function getWebXRController(index) {
+            const isHanded = index === "left" || index === "right";
 
-            return controller.getTargetRaySpace();
-        };
+            if (!isHanded && !(Number.isInteger(index) && index >= 0)) {
+                throw new Error(
+                    `Invalid controller: controller must be an index or "left" || "right", got ${index}`
+                );
+            }
 
-        this.getControllerGrip = function (index) {
-            let controller = controllers[index];
+            let controller = isHanded
+                ? handedControllers.get(index)
+                : controllers[index];
 
             if (controller === undefined) {
                 controller = new WebXRController();
-                controllers[index] = controller;
+
+                if (isHanded) {
+                    handedControllers.set(index, controller);
+                } else {
+                    controllers[index] = controller;
+                }
+
+                if (scope.isPresenting === true) {
+                    connectInputSources();
+                }
             }
 
-            return controller.getGripSpace();
-        };
+            return controller;
+        }
 
-        this.getHand = function (index) {
-            let controller = controllers[index];
+        this.getController = function (index) {
+            return getWebXRController(index).getTargetRaySpace();
+        };
 
-            if (controller === undefined) {
-                controller = new WebXRController();
-                controllers[index] = controller;
-            }
+        this.getControllerGrip = function (index) {
+            return getWebXRController(index).getGripSpace();
+        };
 
-            return controller.getHandSpace();
+        this.getHand = function (index) {
+            return getWebXRController(index).getHandSpace();
         };
 
         //
         function onSessionEvent(event) {
-            const controller = inputSourcesMap.get(event.inputSource);
+            const connected = inputSourcesMap.get(event.inputSource);
 
-            if (controller) {
-                controller.dispatchEvent({
-                    type: event.type,
-                    data: event.inputSource,
+            if (connected) {
+                connected.forEach(function (controller) {
+                    controller.dispatchEvent({
+                        type: event.type,
+                        data: event.inputSource,
+                    });
                 });
             }
         }
 
         function onSessionEnd() {
-            inputSourcesMap.forEach(function (controller, inputSource) {
-                controller.disconnect(inputSource);
+            inputSourcesMap.forEach(function (connected, inputSource) {
+                disconnectInputSource(inputSource);
             });
 
-            inputSourcesMap.clear();
+            controllerHandedness.clear();
 
             _currentDepthNear = null;
             _currentDepthFar = null;
 
+            disposeReferenceSpace();
+
+            if (_savedClearAlpha !== null) {
+                renderer.setClearAlpha(_savedClearAlpha);
+                _savedClearAlpha = null;
+            }
+
             //
             renderer.setFramebuffer(null);
             renderer.setRenderTarget(renderer.getRenderTarget()); // Hack #15830
             animation.stop();
 
             scope.isPresenting = false;
+            scope.isMultiview = false;
+            cameraVR.isMultiviewCamera = false;
+
+            retiredProjLayer = null;
+            projLayerScale = 1;
+            resolutionScale = getMaxResolutionScale();
+            minFrameTime = Infinity;
+            smoothSamples = 0;
+            resetFrameTiming();
 
             scope.dispatchEvent({ type: "sessionend" });
         }
@@ -128,6 +208,49 @@ class WebXRManager {
             }
         };
 
+        /**
+         * Lowers the resolution of the projection layer while frames are missed, pass false to turn it off
+         */
+        this.setDynamicResolution = function (value) {
+            if (value === false || value === null) {
+                dynamicResolution = null;
+                setResolutionScale(1);
+                return;
+            }
+
+            const options = {
+                ...DYNAMIC_RESOLUTION_DEFAULTS,
+                ...(value === true ? {} : value),
+            };
+
+            if (
+                !(options.minScale > 0) ||
+                !(options.maxScale <= 1) ||
+                options.minScale > options.maxScale
+            ) {
+                throw new Error(
+                    "Invalid dynamic resolution: scales must be 0 < minScale <= maxScale <= 1"
+                );
+            }
+
+            dynamicResolution = options;
+            smoothSamples = 0;
+            setResolutionScale(
+                MathUtils.clamp(
+                    resolutionScale,
+                    options.minScale,
+                    options.maxScale
+                )
+            );
+        };
+
+        /**
+         * Resolution the projection layer is rendered at, relative to the framebuffer scale factor
+         */
+        this.getResolutionScale = function () {
+            return resolutionScale;
+        };
+
         this.setReferenceSpaceType = function (value) {
             referenceSpaceType = value;
 
@@ -138,14 +261,62 @@ class WebXRManager {
             }
         };
 
+        this.getReferenceSpaceType = function () {
+            return referenceSpaceType;
+        };
+
+        /**
+         * Reference space the scene is rendered in, anchored when the user recenters
+         */
         this.getReferenceSpace = function () {
             return referenceSpace;
         };
 
+        /**
+         * XRWebGLBinding of the session, null when the session has no WebXR Layers support
+         */
+        this.getBinding = function () {
+            return glBinding;
+        };
+
+        /**
+         * Framebuffer of a single view of the multiview projection layer, or null when it isn't multiview
+         */
+        this.getViewFramebuffer = function (index) {
+            return scope.isMultiview ? viewFramebuffers[index] || null : null;
+        };
+
+        /**
+         * XRFrame currently being rendered, for uploading to WebGL layers
+         */
+        this.getFrame = function () {
+            return xrFrame;
+        };
+
+        /**
+         * Viewer pose of the current frame, in the reference space
+         */
+        this.getViewerPose = function () {
+            return pose;
+        };
+
         this.getSession = function () {
             return session;
         };
 
+        /**
+         * How the session blends the projection layer with the real world
+         */
+        this.getEnvironmentBlendMode = function () {
+            return (
+                (session !== null && session.environmentBlendMode) || "opaque"
+            );
+        };
+
+        this.getProjectionLayer = function () {
+            return glProjLayer;
+        };
+
         this.setSession = async function (value) {
             session = value;
 
@@ -168,10 +339,19 @@ class WebXRManager {
                     await gl.makeXRCompatible();
                 }
 
+                // The real world shows through wherever the projection layer is left transparent
+                const isTransparent =
+                    scope.getEnvironmentBlendMode() !== "opaque";
+
+                if (isTransparent) {
+                    _savedClearAlpha = renderer.getClearAlpha();
+                    renderer.setClearAlpha(0);
+                }
+
                 if (session.renderState.layers === undefined) {
                     const layerInit = {
                         antialias: attributes.antialias,
-                        alpha: attributes.alpha,
+                        alpha: attributes.alpha || isTransparent,
                         depth: attributes.depth,
                         stencil: attributes.stencil,
                         framebufferScaleFactor: framebufferScaleFactor,
@@ -182,24 +362,23 @@ class WebXRManager {
 
                     session.updateRenderState({ baseLayer: baseLayer });
                 } else {
-                    const projectionLayerInit = {
-                        scaleFactor: framebufferScaleFactor,
-                    };
-
                     glBinding = new XRWebGLBinding(session, gl);
 
-                    glProjLayer = glBinding.createProjectionLayer(
-                        projectionLayerInit
-                    );
+                    glProjLayer = createProjectionLayer(projLayerScale);
 
                     glFramebuffer = gl.createFramebuffer();
 
                     session.updateRenderState({ layers: [glProjLayer] });
                 }
 
-                referenceSpace = await session.requestReferenceSpace(
-                    referenceSpaceType
+                anchoredReferenceSpace = new AnchoredReferenceSpace(
+                    await session.requestReferenceSpace(referenceSpaceType)
+                );
+                anchoredReferenceSpace.addEventListener(
+                    "reset",
+                    onReferenceSpaceReset
                 );
+                referenceSpace = anchoredReferenceSpace.space;
 
                 animation.setContext(session);
                 animation.start();
@@ -210,40 +389,316 @@ class WebXRManager {
             }
         };
 
-        function onInputSourcesChange(event) {
-            const inputSources = session.inputSources;
+        function onReferenceSpaceReset(event) {
+            referenceSpace = event.space;
+
+            scope.dispatchEvent({
+                type: "referencespacereset",
+                referenceSpace: event.space,
+                transform: event.transform,
+            });
+        }
 
-            // Assign inputSources to available controllers
-            for (let i = 0; i < controllers.length; i++) {
-                inputSourcesMap.set(inputSources[i], controllers[i]);
+        function disposeReferenceSpace() {
+            if (anchoredReferenceSpace !== null) {
+                anchoredReferenceSpace.removeEventListener(
+                    "reset",
+                    onReferenceSpaceReset
+                );
+                anchoredReferenceSpace.dispose();
+                anchoredReferenceSpace = null;
             }
+        }
 
-            // Notify disconnected
-            for (let i = 0; i < event.removed.length; i++) {
-                const inputSource = event.removed[i];
-                const controller = inputSourcesMap.get(inputSource);
+        function getMultiviewExtension() {
+            if (
+                renderer.capabilities.isWebGL2 !== true ||
+                renderer.extensions.has("OVR_multiview2") !== true
+            ) {
+                return null;
+            }
 
-                if (controller) {
-                    controller.dispatchEvent({
-                        type: "disconnected",
-                        data: inputSource,
+            return renderer.extensions.get("OVR_multiview2");
+        }
+
+        /**
+         * Texture array projection layer with OVR_multiview2, or a texture per view
+         */
+        function createProjectionLayer(scale) {
+            const projectionLayerInit = {
+                scaleFactor: framebufferScaleFactor * scale,
+            };
+
+            multiviewExtension = getMultiviewExtension();
+
+            let projectionLayer = null;
+
+            if (multiviewExtension !== null) {
+                try {
+                    projectionLayer = glBinding.createProjectionLayer({
+                        ...projectionLayerInit,
+                        textureType: "texture-array",
                     });
-                    inputSourcesMap.delete(inputSource);
+                } catch (error) {
+                    console.warn(
+                        "THREE.WebXRManager: Texture array projection layers aren't supported, rendering each view separately.",
+                        error
+                    );
+                    multiviewExtension = null;
                 }
             }
 
-            // Notify connected
-            for (let i = 0; i < event.added.length; i++) {
-                const inputSource = event.added[i];
-                const controller = inputSourcesMap.get(inputSource);
+            scope.isMultiview = projectionLayer !== null;
+            cameraVR.isMultiviewCamera = scope.isMultiview;
 
-                if (controller) {
-                    controller.dispatchEvent({
-                        type: "connected",
-                        data: inputSource,
-                    });
+            return (
+                projectionLayer ||
+                glBinding.createProjectionLayer(projectionLayerInit)
+            );
+        }
+
+        /**
+         * Attaches every layer of the texture array projection layer to the framebuffer, one per view
+         */
+        function attachMultiviewTextures(glSubImage, numViews) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, glFramebuffer);
+
+            multiviewExtension.framebufferTextureMultiviewOVR(
+                gl.FRAMEBUFFER,
+                gl.COLOR_ATTACHMENT0,
+                glSubImage.colorTexture,
+                0,
+                0,
+                numViews
+            );
+
+            if (glSubImage.depthStencilTexture !== undefined) {
+                multiviewExtension.framebufferTextureMultiviewOVR(
+                    gl.FRAMEBUFFER,
+                    gl.DEPTH_ATTACHMENT,
+                    glSubImage.depthStencilTexture,
+                    0,
+                    0,
+                    numViews
+                );
+            }
+
+            for (let i = 0; i < numViews; i++) {
+                if (viewFramebuffers[i] === undefined) {
+                    viewFramebuffers[i] = gl.createFramebuffer();
+                }
+
+                gl.bindFramebuffer(gl.FRAMEBUFFER, viewFramebuffers[i]);
+
+                gl.framebufferTextureLayer(
+                    gl.FRAMEBUFFER,
+                    gl.COLOR_ATTACHMENT0,
+                    glSubImage.colorTexture,
+                    0,
+                    i
+                );
+
+                if (glSubImage.depthStencilTexture !== undefined) {
+                    gl.framebufferTextureLayer(
+                        gl.FRAMEBUFFER,
+                        gl.DEPTH_ATTACHMENT,
+                        glSubImage.depthStencilTexture,
+                        0,
+                        i
+                    );
+                }
+            }
+
+            // Bound after, so the renderer's cached framebuffer is the one that's bound
+            gl.bindFramebuffer(gl.FRAMEBUFFER, glFramebuffer);
+            renderer.setFramebuffer(glFramebuffer);
+        }
+
+        /**
+         * Swaps the projection layer for one at the current resolution scale, between frames
+         */
+        function recreateProjectionLayer() {
+            retiredProjLayer = glProjLayer;
+            glProjLayer = createProjectionLayer(resolutionScale);
+            projLayerScale = resolutionScale;
+
+            session.updateRenderState({
+                layers: session.renderState.layers.map((layer) =>
+                    layer === retiredProjLayer ? glProjLayer : layer
+                ),
+            });
+
+            scope.dispatchEvent({
+                type: "projectionlayerchange",
+                layer: glProjLayer,
+            });
+        }
+
+        function getMaxResolutionScale() {
+            return dynamicResolution === null ? 1 : dynamicResolution.maxScale;
+        }
+
+        function setResolutionScale(scale) {
+            // Steps add up to rounding errors
+            scale = Math.round(scale * 100) / 100;
+
+            if (scale === resolutionScale) {
+                return;
+            }
+
+            resolutionScale = scale;
+
+            // Frames around a change are slower, and shouldn't count towards the next one
+            resetFrameTiming();
+
+            scope.dispatchEvent({ type: "resolutionscalechange", scale });
+        }
+
+        function resetFrameTiming() {
+            lastFrameTime = null;
+            sampledFrames = 0;
+            missedFrames = 0;
+        }
+
+        /**
+         * Counts missed frames and adjusts the resolution scale after each sample
+         */
+        function updateFrameTiming(time) {
+            if (lastFrameTime !== null) {
+                const frameTime = time - lastFrameTime;
+                minFrameTime = Math.min(minFrameTime, frameTime);
+
+                const expectedFrameTime = session.frameRate
+                    ? 1000 / session.frameRate
+                    : minFrameTime;
+
+                sampledFrames++;
+
+                if (
+                    frameTime >
+                    expectedFrameTime * dynamicResolution.missedFrameFactor
+                ) {
+                    missedFrames++;
+                }
+
+                if (sampledFrames >= dynamicResolution.sampleFrames) {
+                    adjustResolutionScale();
+                    return;
                 }
             }
+
+            lastFrameTime = time;
+        }
+
+        function adjustResolutionScale() {
+            const {
+                minScale,
+                maxScale,
+                step,
+                maxMissedFrames,
+                increaseAfter,
+            } = dynamicResolution;
+
+            if (missedFrames > maxMissedFrames) {
+                smoothSamples = 0;
+                setResolutionScale(Math.max(minScale, resolutionScale - step));
+            } else if (missedFrames === 0 && ++smoothSamples >= increaseAfter) {
+                smoothSamples = 0;
+                setResolutionScale(Math.min(maxScale, resolutionScale + step));
+            } else if (missedFrames > 0) {
+                smoothSamples = 0;
+            }
+
+            resetFrameTiming();
+        }
+
+        function onInputSourcesChange(event) {
+            for (let i = 0; i < event.removed.length; i++) {
+                disconnectInputSource(event.removed[i]);
+            }
+
+            // New input sources, and ones left without a controller, take the free controllers
+            connectInputSources();
+        }
+
+        function connectInputSources() {
+            const inputSources = session.inputSources;
+
+            for (let i = 0; i < inputSources.length; i++) {
+                connectInputSource(inputSources[i]);
+            }
+        }
+
+        function connectInputSource(inputSource) {
+            const connected = inputSourcesMap.get(inputSource) || [];
+
+            const handedController = handedControllers.get(
+                inputSource.handedness
+            );
+
+            if (
+                handedController !== undefined &&
+                !controllerInputSources.has(handedController)
+            ) {
+                connectController(handedController, inputSource);
+            }
+
+            if (
+                !connected.some((controller) =>
+                    controllers.includes(controller)
+                )
+            ) {
+                const freeController = controllers.find(
+                    (controller) =>
+                        controller !== undefined &&
+                        !controllerInputSources.has(controller)
+                );
+
+                if (freeController !== undefined) {
+                    connectController(freeController, inputSource);
+                }
+            }
+        }
+
+        function connectController(controller, inputSource) {
+            if (!inputSourcesMap.has(inputSource)) {
+                inputSourcesMap.set(inputSource, []);
+            }
+
+            inputSourcesMap.get(inputSource).push(controller);
+            controllerInputSources.set(controller, inputSource);
+
+            controller.dispatchEvent({ type: "connected", data: inputSource });
+
+            const previousHandedness = controllerHandedness.get(controller);
+            controllerHandedness.set(controller, inputSource.handedness);
+
+            if (
+                previousHandedness !== undefined &&
+                previousHandedness !== inputSource.handedness
+            ) {
+                controller.dispatchEvent({
+                    type: "handednesschange",
+                    handedness: inputSource.handedness,
+                    previousHandedness,
+                    data: inputSource,
+                });
+            }
+        }
+
+        function disconnectInputSource(inputSource) {
+            const connected = inputSourcesMap.get(inputSource);
+
+            if (connected === undefined) {
+                return;
+            }
+
+            connected.forEach(function (controller) {
+                controllerInputSources.delete(controller);
+                controller.disconnect(inputSource);
+            });
+
+            inputSourcesMap.delete(inputSource);
         }
 
         //
@@ -388,12 +843,27 @@ class WebXRManager {
         let onAnimationFrameCallback = null;
 
         function onAnimationFrame(time, frame) {
+            xrFrame = frame;
             pose = frame.getViewerPose(referenceSpace);
 
+            if (retiredProjLayer !== null) {
+                retiredProjLayer.destroy();
+                retiredProjLayer = null;
+            }
+
+            if (dynamicResolution !== null) {
+                updateFrameTiming(time);
+            }
+
             if (pose !== null) {
                 const views = pose.views;
                 const baseLayer = session.renderState.baseLayer;
 
+                // Views are scaled within the layer where supported, which is cheaper than a new layer
+                viewportScaling = views.every(
+                    (view) => typeof view.requestViewportScale === "function"
+                );
+
                 if (session.renderState.layers === undefined) {
                     renderer.setFramebuffer(baseLayer.framebuffer);
                 }
@@ -410,8 +880,24 @@ class WebXRManager {
                     const view = views[i];
                     let viewport = null;
 
+                    if (viewportScaling) {
+                        view.requestViewportScale(resolutionScale);
+                    }
+
                     if (session.renderState.layers === undefined) {
                         viewport = baseLayer.getViewport(view);
+                    } else if (scope.isMultiview) {
+                        const glSubImage = glBinding.getViewSubImage(
+                            glProjLayer,
+                            view
+                        );
+
+                        // Views share the texture array and their viewport
+                        if (i === 0) {
+                            attachMultiviewTextures(glSubImage, views.length);
+                        }
+
+                        viewport = glSubImage.viewport;
                     } else {
                         const glSubImage = glBinding.getViewSubImage(
                             glProjLayer,
@@ -464,16 +950,27 @@ class WebXRManager {
             }
 
             //
-            const inputSources = session.inputSources;
-
-            for (let i = 0; i < controllers.length; i++) {
-                const controller = controllers[i];
-                const inputSource = inputSources[i];
+            const updateController = function (controller) {
+                const inputSource = controllerInputSources.get(controller);
 
                 controller.update(inputSource, frame, referenceSpace);
-            }
+            };
+
+            controllers.forEach(updateController);
+            handedControllers.forEach(updateController);
 
             if (onAnimationFrameCallback) onAnimationFrameCallback(time, frame);
+
+            if (
+                glProjLayer !== null &&
+                retiredProjLayer === null &&
+                !viewportScaling &&
+                projLayerScale !== resolutionScale
+            ) {
+                recreateProjectionLayer();
+            }
+
+            xrFrame = null;
         }
 
         const animation = new WebGLAnimation();
@@ -483,7 +980,48 @@ class WebXRManager {
             onAnimationFrameCallback = callback;
         };
 
-        this.dispose = function () {};
+        this.dispose = function () {
+            animation.stop();
+
+            if (session !== null) {
+                session.removeEventListener("select", onSessionEvent);
+                session.removeEventListener("selectstart", onSessionEvent);
+                session.removeEventListener("selectend", onSessionEvent);
+                session.removeEventListener("squeeze", onSessionEvent);
+                session.removeEventListener("squeezestart", onSessionEvent);
+                session.removeEventListener("squeezeend", onSessionEvent);
+                session.removeEventListener("end", onSessionEnd);
+                session.removeEventListener(
+                    "inputsourceschange",
+                    onInputSourcesChange
+                );
+            }
+
+            disposeReferenceSpace();
+
+            if (glFramebuffer !== null) {
+                gl.deleteFramebuffer(glFramebuffer);
+                glFramebuffer = null;
+            }
+
+            viewFramebuffers.forEach((framebuffer) =>
+                gl.deleteFramebuffer(framebuffer)
+            );
+            viewFramebuffers.length = 0;
+
+            if (glProjLayer !== null) {
+                glProjLayer.destroy();
+                glProjLayer = null;
+            }
+
+            if (retiredProjLayer !== null) {
+                retiredProjLayer.destroy();
+                retiredProjLayer = null;
+            }
+
+            glBinding = null;
+            multiviewExtension = null;
+        };
     }
 }
 